@@ -0,0 +1,350 @@
+// asset-store.js - Logos, fonts and stylesheets kept on disk for receipts
+//
+// Uploaded assets (PUT /assets/:name) are referenced from print HTML as
+// asset://name. Images, stylesheets and fonts that print pages load from the
+// allowed asset hosts are copied into the store as well, and pages are pointed
+// at the copies (asset://remote/<hash>), so receipts come out the same when the
+// internet is down. A copy older than maxAgeMs is refreshed in the background;
+// while that fails, the old copy keeps being used. Copies that haven't been
+// used lately are dropped once they take up more than maxRemoteBytes, so pages
+// with cache-busting query strings don't fill the disk.
+//
+// Each asset is two files, like print jobs: the data, and `<file>.json` with
+// its content type and timestamps. Names can't end in .json or .tmp, so an
+// asset can never take the place of another's metadata or temp file.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const cheerio = require("cheerio");
+const logger = require("./logger");
+
+// Lowercase, since asset://Logo.png reaches the protocol handler as logo.png
+const ASSET_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+const RESERVED_SUFFIX = /\.(json|tmp)$/;
+const REMOTE_HOST = "remote";
+
+const ASSET_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "image/svg+xml",
+  "font/woff",
+  "font/woff2",
+  "font/ttf",
+  "font/otf",
+  "text/css",
+];
+const MAX_ASSET_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Remote files are taken as the browser would load them, except pages and scripts
+const REJECTED_REMOTE_TYPES = /html|javascript|ecmascript/;
+
+const CSS_URL = /url\(\s*(['"]?)([^'")\s]+)\1\s*\)/g;
+
+function assetError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Close a response without reading its body
+function discard(response) {
+  return response.body ? response.body.cancel() : Promise.resolve();
+}
+
+function isAssetName(name) {
+  return ASSET_NAME_PATTERN.test(name) && !RESERVED_SUFFIX.test(name) && name !== REMOTE_HOST;
+}
+
+function contentTypeOf(header) {
+  return (header || "").split(";")[0].trim().toLowerCase();
+}
+
+function createAssetStore({
+  dir,
+  fetchTimeoutMs = 3000,
+  maxAgeMs = 24 * 60 * 60 * 1000,
+  maxRemoteBytes = 50 * 1024 * 1024,
+}) {
+  const remoteDir = path.join(dir, REMOTE_HOST);
+  const downloads = new Map(); // url -> in-flight download
+
+  fs.mkdirSync(remoteDir, { recursive: true });
+
+  function writeFile(file, data) {
+    // Write to a temp file first so a crash never leaves half an asset
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, data);
+    fs.renameSync(tmpFile, file);
+  }
+
+  function save(file, data, meta) {
+    writeFile(file, data);
+    writeFile(`${file}.json`, JSON.stringify(meta));
+  }
+
+  function load(file) {
+    try {
+      const meta = JSON.parse(fs.readFileSync(`${file}.json`, "utf8"));
+      return { ...meta, data: fs.readFileSync(file) };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      // Metadata overwritten by an older version's .json upload, see list()
+      if (error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  function checkName(name) {
+    if (!isAssetName(name)) {
+      throw assetError(400, `Invalid asset name "${name}". Use lowercase letters, digits, ".", "-" or "_" (max 64 characters), not ending in .json or .tmp`);
+    }
+  }
+
+  function put(name, data, contentTypeHeader) {
+    checkName(name);
+    const contentType = contentTypeOf(contentTypeHeader);
+    if (!ASSET_TYPES.includes(contentType)) {
+      throw assetError(415, `Unsupported asset type "${contentType}". Expected one of: ${ASSET_TYPES.join(", ")}`);
+    }
+    if (!Buffer.isBuffer(data) || data.length === 0) throw assetError(400, "Asset is empty");
+    if (data.length > MAX_ASSET_BYTES) throw assetError(413, `Assets can be at most ${MAX_ASSET_BYTES / 1024 / 1024} MB`);
+
+    const meta = { name, contentType, size: data.length, updatedAt: new Date().toISOString() };
+    save(path.join(dir, name), data, meta);
+    return meta;
+  }
+
+  function get(name) {
+    checkName(name);
+    return load(path.join(dir, name));
+  }
+
+  // Older versions accepted names ending in .json, whose upload overwrote
+  // another asset's metadata; such leftovers are skipped rather than failing
+  function list() {
+    const assets = [];
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith(".json") || !isAssetName(file.slice(0, -".json".length))) continue;
+      try {
+        const { name, contentType, size, updatedAt } = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        assets.push({ name, contentType, size, updatedAt, url: `asset://${name}` });
+      } catch (error) {
+        logger.warn(`⚠️ Skipping asset ${file}: ${error.message}`);
+      }
+    }
+    return assets.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function remove(name) {
+    checkName(name);
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    fs.unlinkSync(`${file}.json`);
+    return true;
+  }
+
+  // The asset behind an asset:// URL, or null
+  function resolve(address) {
+    let url;
+    try {
+      url = new URL(address);
+    } catch (error) {
+      return null;
+    }
+
+    if (url.hostname === REMOTE_HOST) {
+      const id = url.pathname.slice(1);
+      return /^[a-f0-9]{64}$/.test(id) ? load(path.join(remoteDir, id)) : null;
+    }
+    return isAssetName(url.hostname) ? load(path.join(dir, url.hostname)) : null;
+  }
+
+  // Redirects are followed by hand so each hop is held to the host allow-list;
+  // otherwise an allowed host could send the agent anywhere, LAN included
+  async function fetchAllowed(address, allowed) {
+    const signal = AbortSignal.timeout(fetchTimeoutMs);
+    let url = address;
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const response = await fetch(url, { redirect: "manual", signal });
+      const location = response.headers.get("location");
+      if (response.status < 300 || response.status >= 400 || !location) return response;
+
+      await discard(response);
+      url = new URL(location, url).href;
+      if (!/^https?:/.test(url) || !allowed(url)) throw new Error(`redirected to ${url}, which isn't an allowed host`);
+    }
+    throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+  }
+
+  // Read the body, giving up as soon as it passes the size cap
+  async function readLimited(response) {
+    if (Number(response.headers.get("content-length")) > MAX_ASSET_BYTES) {
+      await discard(response);
+      throw new Error("too large to cache");
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+      size += chunk.length;
+      // Leaving the loop cancels the rest of the download
+      if (size > MAX_ASSET_BYTES) throw new Error("too large to cache");
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async function download(address, allowed) {
+    const response = await fetchAllowed(address, allowed);
+    if (!response.ok) {
+      await discard(response);
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const contentType = contentTypeOf(response.headers.get("content-type")) || "application/octet-stream";
+    if (REJECTED_REMOTE_TYPES.test(contentType)) {
+      await discard(response);
+      throw new Error(`${contentType} isn't an asset`);
+    }
+
+    let data = await readLimited(response);
+
+    // Fonts and images a stylesheet points at are cached along with it
+    if (contentType === "text/css") {
+      data = Buffer.from(await localizeCss(data.toString("utf8"), address, allowed));
+    }
+    return { data, contentType };
+  }
+
+  // Drop the least recently used remote copies once together they pass
+  // maxRemoteBytes. A copy's .json file is touched whenever a page uses it.
+  function pruneRemote() {
+    const copies = [];
+    for (const id of fs.readdirSync(remoteDir)) {
+      if (!/^[a-f0-9]{64}$/.test(id)) continue;
+      const file = path.join(remoteDir, id);
+      try {
+        copies.push({ file, size: fs.statSync(file).size, usedAt: fs.statSync(`${file}.json`).mtimeMs });
+      } catch (error) {
+        // Removed or half-written meanwhile
+      }
+    }
+    copies.sort((a, b) => b.usedAt - a.usedAt);
+
+    let total = 0;
+    for (const copy of copies) {
+      total += copy.size;
+      if (total <= maxRemoteBytes) continue;
+      fs.rmSync(copy.file, { force: true });
+      fs.rmSync(`${copy.file}.json`, { force: true });
+    }
+  }
+
+  function refresh(address, file, allowed) {
+    if (!downloads.has(address)) {
+      const pending = download(address, allowed)
+        .then(({ data, contentType }) => {
+          save(file, data, { url: address, contentType, size: data.length, fetchedAt: new Date().toISOString() });
+          pruneRemote();
+        })
+        .finally(() => downloads.delete(address));
+      downloads.set(address, pending);
+    }
+    return downloads.get(address);
+  }
+
+  // asset:// URL of a local copy of a remote file, or null when there is none
+  // and it can't be downloaded now
+  async function cacheRemote(address, allowed) {
+    const id = crypto.createHash("sha256").update(address).digest("hex");
+    const file = path.join(remoteDir, id);
+    const assetUrl = `asset://${REMOTE_HOST}/${id}`;
+
+    let cached = null;
+    try {
+      cached = JSON.parse(fs.readFileSync(`${file}.json`, "utf8"));
+    } catch (error) {
+      // Not cached yet
+    }
+
+    if (cached) {
+      const now = new Date();
+      fs.utimesSync(`${file}.json`, now, now); // marks it used, see pruneRemote()
+      if (Date.now() - Date.parse(cached.fetchedAt) > maxAgeMs) {
+        refresh(address, file, allowed).catch((error) => {
+          logger.debug(`Keeping cached ${address}: ${error.message}`);
+        });
+      }
+      return assetUrl;
+    }
+
+    try {
+      await refresh(address, file, allowed);
+      logger.debug(`📦 Cached ${address}`);
+      return assetUrl;
+    } catch (error) {
+      logger.warn(`⚠️ Could not cache ${address}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Map each cacheable URL to its local copy. allowed(url) says whether
+  // print pages may load it at all.
+  async function localUrls(addresses, base, allowed) {
+    const urls = new Map();
+    await Promise.all(Array.from(new Set(addresses), async (address) => {
+      let absolute;
+      try {
+        absolute = new URL(address, base || undefined).href;
+      } catch (error) {
+        return;
+      }
+      if (!/^https?:/.test(absolute) || !allowed(absolute)) return;
+
+      const local = await cacheRemote(absolute, allowed);
+      if (local) urls.set(address, local);
+    }));
+    return urls;
+  }
+
+  async function localizeCss(css, base, allowed) {
+    const addresses = Array.from(css.matchAll(CSS_URL), (match) => match[2]);
+    const urls = await localUrls(addresses, base, allowed);
+    return css.replace(CSS_URL, (match, quote, address) => (urls.has(address) ? `url("${urls.get(address)}")` : match));
+  }
+
+  // Point a print page's remote images, stylesheets and CSS url()s at local copies
+  async function localizeHtml(html, allowed) {
+    const $ = cheerio.load(html);
+
+    const elements = [
+      ...$("img[src]").toArray().map((element) => ({ element, attribute: "src" })),
+      ...$("link[href]").toArray()
+        .filter((element) => /\bstylesheet\b/i.test($(element).attr("rel") || ""))
+        .map((element) => ({ element, attribute: "href" })),
+    ];
+    const urls = await localUrls(elements.map(({ element, attribute }) => $(element).attr(attribute)), null, allowed);
+    for (const { element, attribute } of elements) {
+      const address = $(element).attr(attribute);
+      if (urls.has(address)) $(element).attr(attribute, urls.get(address));
+    }
+
+    for (const element of $("style").toArray()) {
+      $(element).text(await localizeCss($(element).text(), null, allowed));
+    }
+    for (const element of $("[style]").toArray()) {
+      $(element).attr("style", await localizeCss($(element).attr("style"), null, allowed));
+    }
+
+    return $.html();
+  }
+
+  return { put, get, list, remove, resolve, cacheRemote, localizeHtml };
+}
+
+module.exports = { createAssetStore, ASSET_TYPES, MAX_ASSET_BYTES };
@@ -0,0 +1,178 @@
+// auth.js - Origin allow-list and API keys for the local print API
+//
+// Settings in the store:
+//   allowedOrigins: ["https://pos.example.com"]   browser origins allowed to call the API
+//   apiKeys: [{ name: "till-1", key: "..." }]     keys sent as "Authorization: Bearer <key>",
+//                                                 "X-API-Key: <key>" or, for EventSource
+//                                                 clients that can't set headers, ?apiKey=<key>
+// Requests without an Origin header (POS programs, scripts) pass the origin
+// check; browser pages need their origin listed, so with an empty list no
+// website a cashier visits can print or open the drawer. An empty apiKeys
+// list switches key checks off, which keeps existing installs working until
+// they are configured.
+//
+// Every request must also name the agent in its Host header: localhost, a
+// loopback address or bindAddress (any IP address while that is 0.0.0.0 or
+// ::). A DNS-rebinding page points its own domain at 127.0.0.1 and reads the
+// API as same-origin, with no Origin header, but its Host is still that domain.
+const crypto = require("crypto");
+const net = require("net");
+const logger = require("./logger");
+
+const LOOPBACK_ADDRESSES = ["localhost", "127.0.0.1", "::1"];
+const WILDCARD_ADDRESSES = ["0.0.0.0", "::"];
+
+const MIN_KEY_LENGTH = 16;
+
+function generateApiKey() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+// Compare digests so the check takes the same time however much of the key matches
+function findApiKey(apiKeys, presented) {
+  const presentedDigest = sha256(presented);
+  return apiKeys.find(({ key }) => crypto.timingSafeEqual(sha256(key), presentedDigest)) || null;
+}
+
+function presentedKey(req) {
+  const authorization = req.get("authorization") || "";
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+  return req.get("x-api-key") || (typeof req.query.apiKey === "string" ? req.query.apiKey : null);
+}
+
+const MAX_LOGGED_ORIGINS = 100;
+const refusedOrigins = new Set(); // logged once each, up to MAX_LOGGED_ORIGINS
+
+function isLoopbackAddress(address) {
+  return LOOPBACK_ADDRESSES.includes(address);
+}
+
+function isHostAllowed(store, host) {
+  let hostname;
+  try {
+    hostname = new URL(`http://${host}`).hostname.replace(/^\[|\]$/g, ""); // Strip IPv6 brackets
+  } catch (error) {
+    return false;
+  }
+
+  const bindAddress = store.get("bindAddress");
+  if (isLoopbackAddress(hostname) || hostname === bindAddress) return true;
+  return WILDCARD_ADDRESSES.includes(bindAddress) && net.isIP(hostname) !== 0;
+}
+
+// Origins refused so far, for the tray
+function refusedOriginList() {
+  return [...refusedOrigins];
+}
+
+function isOriginAllowed(store, origin) {
+  return !origin || store.get("allowedOrigins", []).includes(origin);
+}
+
+// Options for the cors middleware: only allowed origins get CORS headers
+function corsOptions(store) {
+  return {
+    origin: (origin, callback) => callback(null, isOriginAllowed(store, origin)),
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+  };
+}
+
+// onRefusedOrigin(origin) is called the first time each origin is refused
+function authMiddleware(store, onRefusedOrigin = () => {}) {
+  return (req, res, next) => {
+    const host = req.get("host");
+    if (host !== undefined && !isHostAllowed(store, host)) {
+      return res.status(403).json({ success: false, error: `Host "${host}" is not allowed` });
+    }
+
+    // CORS preflights never carry credentials; cors() has already answered them
+    if (req.method === "OPTIONS") return next();
+
+    const origin = req.get("origin");
+    if (!isOriginAllowed(store, origin)) {
+      if (!refusedOrigins.has(origin) && refusedOrigins.size < MAX_LOGGED_ORIGINS) {
+        refusedOrigins.add(origin);
+        logger.warn(`🚫 Refused a request from origin "${origin}"; add it to Allowed Origins if it is your POS`);
+        onRefusedOrigin(origin);
+      }
+      return res.status(403).json({
+        success: false,
+        error: `Origin "${origin}" is not allowed. Add it to Allowed Origins in the agent's settings`,
+      });
+    }
+
+    const apiKeys = store.get("apiKeys", []);
+    if (apiKeys.length === 0) return next();
+
+    const key = presentedKey(req);
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        error: "API key required. Send it as \"Authorization: Bearer <key>\" or \"X-API-Key: <key>\"",
+      });
+    }
+
+    const client = findApiKey(apiKeys, key);
+    if (!client) return res.status(401).json({ success: false, error: "Invalid API key" });
+
+    req.client = client.name;
+    next();
+  };
+}
+
+// Returns an error message, or null when the settings are valid
+function validateSecurity({ allowedOrigins, apiKeys }) {
+  if (!Array.isArray(allowedOrigins)) return "Allowed origins must be a list";
+  for (const origin of allowedOrigins) {
+    let parsed;
+    try {
+      parsed = new URL(origin);
+    } catch (error) {
+      return `"${origin}" is not a valid origin`;
+    }
+    if (parsed.origin !== origin) {
+      return `"${origin}" is not a valid origin; use scheme://host[:port] with no path, e.g. ${parsed.origin}`;
+    }
+  }
+
+  if (!Array.isArray(apiKeys)) return "API keys must be a list";
+  const names = new Set();
+  for (const apiKey of apiKeys) {
+    if (!apiKey || typeof apiKey.name !== "string" || !apiKey.name.trim()) return "Every API key needs a name";
+    if (names.has(apiKey.name)) return `API key name "${apiKey.name}" is used twice`;
+    names.add(apiKey.name);
+
+    if (typeof apiKey.key !== "string" || apiKey.key.length < MIN_KEY_LENGTH) {
+      return `API key "${apiKey.name}" must be at least ${MIN_KEY_LENGTH} characters`;
+    }
+  }
+
+  return null;
+}
+
+// Older versions let every browser origin through while the list was empty, so
+// on an upgraded install a POS running in a browser is refused until its origin
+// is added. Checked once; returns true when the operator needs telling.
+function migrateAllowedOrigins(store, existingInstall) {
+  if (store.get("originCheckNoticed", false)) return false;
+  store.set("originCheckNoticed", true);
+
+  if (!existingInstall || store.get("allowedOrigins", []).length > 0) return false;
+  logger.warn("⚠️ Browser pages can no longer print until their origin is added to Allowed Origins in Settings");
+  return true;
+}
+
+module.exports = {
+  generateApiKey,
+  corsOptions,
+  authMiddleware,
+  validateSecurity,
+  isLoopbackAddress,
+  refusedOriginList,
+  migrateAllowedOrigins,
+};
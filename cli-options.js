@@ -0,0 +1,138 @@
+// cli-options.js - Command-line flags and environment variables
+//
+// For running the agent as a service, e.g. under systemd:
+//   --headless                 no tray, settings window or auto-launch; JSON logs on stdout
+//   --port <port>              HTTP port (saved to the config)
+//   --config <file.json>       settings file to use instead of the per-user one
+//   --route <name>=<printer>   set a route's printer; repeat for more routes
+//   --log-format <text|json>   console log format (json by default when headless)
+// Each has an environment variable: PRINT_AGENT_HEADLESS=1, PRINT_AGENT_PORT,
+// PRINT_AGENT_CONFIG, PRINT_AGENT_ROUTES="bill=XP-80C;kot=tcp://10.0.0.20:9100"
+// and PRINT_AGENT_LOG_FORMAT. Flags win over environment variables.
+//
+// Headless still needs a display on Linux: print pages render in hidden
+// windows, and Electron can't create those without X or Wayland. On a server,
+// run the agent under a virtual X server, e.g. in the systemd unit:
+//   ExecStart=/usr/bin/xvfb-run -a /opt/silent-print-agent/silent-print-agent --headless
+// The agent exits with a message saying so when there is no display.
+const path = require("path");
+
+const LOG_FORMATS = ["text", "json"];
+
+// Ports the agent accepts from flags, the settings window and config files alike
+const MIN_PORT = 1024;
+const MAX_PORT = 65535;
+
+const USAGE = `Usage: silent-print-agent [options]
+
+  --headless                 Run without tray, settings window or auto-launch
+  --port <port>              HTTP port (1024-65535)
+  --config <file.json>       Settings file to use
+  --route <name>=<printer>   Set a route's printer (repeatable)
+  --log-format <text|json>   Console log format
+  --help                     Show this help
+
+On Linux the agent needs a display, also with --headless; on a server
+without one, start it with xvfb-run -a.`;
+
+function cliError(message) {
+  return new Error(`${message}\n\n${USAGE}`);
+}
+
+function parseRoute(value) {
+  const separator = value.indexOf("=");
+  if (separator <= 0 || separator === value.length - 1) {
+    throw cliError(`Invalid route "${value}"; expected <name>=<printer>`);
+  }
+  return { name: value.slice(0, separator).trim(), printer: value.slice(separator + 1).trim() };
+}
+
+function parsePort(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < MIN_PORT || port > MAX_PORT) {
+    throw cliError(`Invalid port "${value}"; use a port from ${MIN_PORT} to ${MAX_PORT}`);
+  }
+  return port;
+}
+
+// args: command-line arguments after the app path. Unknown arguments (e.g.
+// Chromium switches) are left alone.
+function parseCliOptions(args, env = {}) {
+  const options = {
+    help: false,
+    headless: ["1", "true"].includes(env.PRINT_AGENT_HEADLESS),
+    port: env.PRINT_AGENT_PORT ? parsePort(env.PRINT_AGENT_PORT) : null,
+    configFile: env.PRINT_AGENT_CONFIG || null,
+    routes: env.PRINT_AGENT_ROUTES
+      ? env.PRINT_AGENT_ROUTES.split(";").filter((route) => route.trim()).map(parseRoute)
+      : [],
+    logFormat: env.PRINT_AGENT_LOG_FORMAT || null,
+  };
+
+  let cliRoutes = null;
+  for (let index = 0; index < args.length; index++) {
+    const [flag, inlineValue] = args[index].split(/=(.*)/s, 2);
+    const value = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (index + 1 >= args.length) throw cliError(`${flag} needs a value`);
+      return args[++index];
+    };
+
+    switch (flag) {
+      case "--help":
+        options.help = true;
+        break;
+      case "--headless":
+        options.headless = true;
+        break;
+      case "--port":
+        options.port = parsePort(value());
+        break;
+      case "--config":
+        options.configFile = value();
+        break;
+      case "--route":
+        cliRoutes = cliRoutes || [];
+        cliRoutes.push(parseRoute(value()));
+        break;
+      case "--log-format":
+        options.logFormat = value();
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (cliRoutes) options.routes = cliRoutes;
+  if (!options.logFormat) options.logFormat = options.headless ? "json" : "text";
+  if (!LOG_FORMATS.includes(options.logFormat)) {
+    throw cliError(`Invalid log format "${options.logFormat}"; expected ${LOG_FORMATS.join(" or ")}`);
+  }
+
+  return options;
+}
+
+// Why the agent can't start on this machine, or null. Electron on Linux needs
+// X (DISPLAY) or Wayland (WAYLAND_DISPLAY) even for hidden windows, unless
+// Chromium was told to run without one.
+function missingDisplay(platform, env, args) {
+  if (platform !== "linux" || env.DISPLAY || env.WAYLAND_DISPLAY) return null;
+  if (args.includes("--ozone-platform=headless")) return null;
+  return "No display found (DISPLAY and WAYLAND_DISPLAY are unset). The agent renders print pages in "
+    + "hidden windows, which need one even with --headless; on a server, run it under xvfb-run -a.";
+}
+
+// electron-store options for the settings file: --config, or config.json in defaultDir
+function storeLocation(configFile, defaultDir) {
+  if (!configFile) return { cwd: defaultDir, name: "config", fileExtension: "json" };
+
+  const resolved = path.resolve(configFile);
+  const extension = path.extname(resolved);
+  return {
+    cwd: path.dirname(resolved),
+    name: path.basename(resolved, extension),
+    fileExtension: extension.slice(1),
+  };
+}
+
+module.exports = { USAGE, MIN_PORT, MAX_PORT, parseCliOptions, missingDisplay, storeLocation };
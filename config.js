@@ -0,0 +1,178 @@
+// config.js - Export, import and provisioning of the agent's settings
+//
+// A config file is JSON with any of the CONFIG_KEYS, e.g.
+//   { "version": 1, "port": 4000, "routes": { "bill": { "printer": "XP-80C" }, ... } }
+// Keys left out keep their current values. Everything is validated before
+// anything is saved, so a bad file changes nothing.
+//
+// GET /config leaves API key values out; an API key sent back without its key
+// keeps the current key of that name, so a fetched config can be edited and
+// sent straight back.
+//
+// bindAddress is "localhost" (the default), so the API, PUT /config included,
+// only answers on the till itself. Remote support reaches it through a tunnel
+// (e.g. ssh -L 4000:localhost:4000 till-1), or by listening on a network
+// address such as "0.0.0.0", which needs at least one API key. Clients then
+// use the machine's IP address; other host names are refused (see auth.js).
+//
+// On first launch the agent imports a provisioning file, if there is one, from
+// PRINT_AGENT_PROVISIONING or the machine-wide path for the platform.
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const { validateRoutes } = require("./print-routes");
+const { validateSecurity, isLoopbackAddress } = require("./auth");
+const { validateOrderRouting } = require("./order-routing");
+const { validateProfiles } = require("./print-profiles");
+const { TEMPLATE_NAME_PATTERN } = require("./templates");
+const { validateRendering } = require("./render-sandbox");
+const { validateReadyScripts } = require("./readiness");
+const { MIN_PORT, MAX_PORT } = require("./cli-options");
+
+const CONFIG_VERSION = 1;
+const CONFIG_KEYS = [
+  "port",
+  "bindAddress",
+  "routes",
+  "allowedOrigins",
+  "apiKeys",
+  "orderRouting",
+  "profiles",
+  "templates",
+  "historyLimit",
+  "rendering",
+];
+
+// Settings that only take effect when the agent restarts
+const RESTART_KEYS = ["historyLimit"];
+
+const PROVISIONING_FILES = {
+  win32: path.join(process.env.PROGRAMDATA || "C:\\ProgramData", "SilentPrintAgent", "provisioning.json"),
+  darwin: "/Library/Application Support/SilentPrintAgent/provisioning.json",
+  linux: "/etc/silent-print-agent/provisioning.json",
+};
+
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateTemplates(templates) {
+  if (!isObject(templates)) return "Templates must be an object of template name -> HTML";
+  for (const [name, html] of Object.entries(templates)) {
+    if (!TEMPLATE_NAME_PATTERN.test(name)) return `Invalid template name "${name}"`;
+    if (typeof html !== "string") return `Template "${name}" must be an HTML string`;
+  }
+  return null;
+}
+
+function validateInteger(value, name, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) return `${name} must be a whole number from ${min} to ${max}`;
+  return null;
+}
+
+// Anyone on the network can reach a non-loopback address, so keys are a must there
+function validateBindAddress(address, apiKeys) {
+  if (typeof address !== "string" || (address !== "localhost" && !net.isIP(address))) {
+    return `bindAddress must be "localhost" or an IP address, e.g. "0.0.0.0" for every network`;
+  }
+  if (!isLoopbackAddress(address) && (!Array.isArray(apiKeys) || apiKeys.length === 0)) {
+    return `Listening on ${address} makes the API reachable from the network; add an API key first`;
+  }
+  return null;
+}
+
+// Returns an error message, or null when `config` is valid. References between
+// settings (e.g. a route's profile) are checked against `current` for keys
+// the config leaves out.
+function validateConfig(config, current) {
+  if (!isObject(config)) return "Config must be a JSON object";
+  if (config.version !== undefined && config.version !== CONFIG_VERSION) {
+    return `Unsupported config version ${config.version}; this agent reads version ${CONFIG_VERSION}`;
+  }
+
+  const unknown = Object.keys(config).find((key) => key !== "version" && !CONFIG_KEYS.includes(key));
+  if (unknown) return `Unknown setting "${unknown}". Expected: ${CONFIG_KEYS.join(", ")}`;
+
+  const merged = { ...current, ...config };
+  const has = (key) => config[key] !== undefined;
+
+  return (
+    (has("port") && validateInteger(config.port, "port", MIN_PORT, MAX_PORT)) ||
+    (has("historyLimit") && validateInteger(config.historyLimit, "historyLimit", 1, 10000)) ||
+    (has("routes") && validateRoutes(config.routes)) ||
+    ((has("allowedOrigins") || has("apiKeys")) && validateSecurity(merged)) ||
+    ((has("bindAddress") || has("apiKeys")) && validateBindAddress(merged.bindAddress, merged.apiKeys)) ||
+    ((has("orderRouting") || has("routes")) && validateOrderRouting(merged.orderRouting, merged.routes)) ||
+    ((has("profiles") || has("routes")) && validateProfiles(merged.profiles, merged.routes)) ||
+    (has("templates") && validateTemplates(config.templates)) ||
+    (has("rendering") && validateRendering(config.rendering)) ||
+    ((has("routes") || has("rendering")) && validateReadyScripts(merged.routes, merged.rendering)) ||
+    null
+  );
+}
+
+function currentConfig(store) {
+  const config = {};
+  for (const key of CONFIG_KEYS) config[key] = store.get(key);
+  return config;
+}
+
+function exportConfig(store) {
+  return { version: CONFIG_VERSION, ...currentConfig(store) };
+}
+
+// Validate and save; throws with the validation message. Returns the keys saved.
+function importConfig(store, config) {
+  const validationError = validateConfig(config, currentConfig(store));
+  if (validationError) throw new Error(validationError);
+
+  const imported = CONFIG_KEYS.filter((key) => config[key] !== undefined);
+  for (const key of imported) store.set(key, config[key]);
+  return imported;
+}
+
+function redactConfig(config) {
+  return { ...config, apiKeys: config.apiKeys.map(({ name }) => ({ name })) };
+}
+
+function restoreApiKeys(config, currentApiKeys) {
+  if (!Array.isArray(config.apiKeys)) return config;
+
+  const apiKeys = config.apiKeys.map((apiKey) => {
+    if (!isObject(apiKey) || apiKey.key !== undefined) return apiKey;
+    const existing = currentApiKeys.find(({ name }) => name === apiKey.name);
+    return existing ? { ...apiKey, key: existing.key } : apiKey;
+  });
+  return { ...config, apiKeys };
+}
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+function provisioningFile(env = process.env, platform = process.platform) {
+  return env.PRINT_AGENT_PROVISIONING || PROVISIONING_FILES[platform] || PROVISIONING_FILES.linux;
+}
+
+module.exports = {
+  CONFIG_KEYS,
+  RESTART_KEYS,
+  validateConfig,
+  exportConfig,
+  importConfig,
+  redactConfig,
+  restoreApiKeys,
+  readConfigFile,
+  provisioningFile,
+};
@@ -0,0 +1,239 @@
+// escpos.js - Encode structured receipt documents as ESC/POS bytes
+//
+// A document is { width, lines: [...] } where each line is a plain string or
+// an element object:
+//   { type: "text", text, align, bold, underline, size }
+//   { type: "rule", char }                     full-width separator line
+//   { type: "feed", lines }
+//   { type: "barcode", format, data, height, width, hri }
+//   { type: "qr", data, size, errorCorrection }
+//   { type: "cut", partial, feed }
+//   { type: "drawer", pin, onMs, offMs }
+//
+// The encoder is pure: the same document always produces the same bytes, so
+// output can be compared byte-for-byte without a printer attached.
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+// GS ! character size: high nibble is width multiplier, low nibble height
+const SIZES = {
+  normal: 0x00,
+  "double-height": 0x01,
+  "double-width": 0x10,
+  double: 0x11,
+};
+
+// GS k function B barcode systems
+const BARCODE_FORMATS = {
+  UPCA: 65,
+  UPCE: 66,
+  EAN13: 67,
+  EAN8: 68,
+  CODE39: 69,
+  ITF: 70,
+  CODABAR: 71,
+  CODE93: 72,
+  CODE128: 73,
+};
+
+const HRI_POSITIONS = { none: 0, above: 1, below: 2, both: 3 };
+const QR_ERROR_LEVELS = { L: 48, M: 49, Q: 50, H: 51 };
+const DRAWER_PINS = { 2: 0, 5: 1 };
+
+// Characters 0x80-0x9F of Windows-1252, which the printer selects as code page 16
+const CP1252_EXTRAS = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87,
+  "ˆ": 0x88, "‰": 0x89, "Š": 0x8a, "‹": 0x8b, "Œ": 0x8c, "Ž": 0x8e, "‘": 0x91,
+  "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "˜": 0x98,
+  "™": 0x99, "š": 0x9a, "›": 0x9b, "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+};
+
+const DEFAULT_LINE_WIDTH = 48; // Font A characters per line on 80 mm paper
+
+function encodeText(text) {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code === 0x0a) {
+      bytes.push(LF);
+    } else if (code < 0x20) {
+      continue; // Drop control characters so text can't inject commands
+    } else if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) {
+      bytes.push(code);
+    } else {
+      bytes.push(CP1252_EXTRAS[char] || 0x3f); // "?" for anything unprintable
+    }
+  }
+  return bytes;
+}
+
+function lookup(table, value, fallback, what) {
+  if (value === undefined || value === null) return table[fallback];
+  if (!Object.prototype.hasOwnProperty.call(table, value)) {
+    throw new Error(`Unknown ${what} "${value}". Expected one of: ${Object.keys(table).join(", ")}`);
+  }
+  return table[value];
+}
+
+function clamp(value, min, max, fallback) {
+  const number = Number.isFinite(Number(value)) ? Math.round(Number(value)) : fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+function textLine(element) {
+  const align = lookup(ALIGNMENTS, element.align, "left", "alignment");
+  const size = lookup(SIZES, element.size, "normal", "text size");
+
+  return [
+    ESC, 0x61, align,
+    ESC, 0x45, element.bold ? 1 : 0,
+    ESC, 0x2d, element.underline ? 1 : 0,
+    GS, 0x21, size,
+    ...encodeText(element.text === undefined ? "" : element.text),
+    LF,
+    // Reset styles so each line starts from a known state
+    ESC, 0x45, 0,
+    ESC, 0x2d, 0,
+    GS, 0x21, 0,
+  ];
+}
+
+function barcode(element) {
+  const format = String(element.format || "CODE128").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  const system = lookup(BARCODE_FORMATS, format, "CODE128", "barcode format");
+  let data = String(element.data || "");
+  if (!data) throw new Error("Barcode element is missing data");
+
+  // CODE128 needs a code set selector; default to code set B (full ASCII)
+  if (format === "CODE128" && !data.startsWith("{")) data = `{B${data}`;
+
+  const dataBytes = encodeText(data);
+  if (dataBytes.length > 255) throw new Error("Barcode data is too long (max 255 bytes)");
+
+  return [
+    ESC, 0x61, lookup(ALIGNMENTS, element.align, "center", "alignment"),
+    GS, 0x68, clamp(element.height, 1, 255, 80),
+    GS, 0x77, clamp(element.width, 2, 6, 3),
+    GS, 0x48, lookup(HRI_POSITIONS, element.hri, "below", "barcode text position"),
+    GS, 0x6b, system, dataBytes.length, ...dataBytes,
+    LF,
+    ESC, 0x61, 0,
+  ];
+}
+
+function qrCode(element) {
+  const data = encodeText(element.data || "");
+  if (data.length === 0) throw new Error("QR element is missing data");
+  if (data.length > 7089) throw new Error("QR data is too long");
+
+  const storeLength = data.length + 3;
+  const errorLevel = lookup(QR_ERROR_LEVELS, element.errorCorrection, "M", "QR error correction level");
+
+  return [
+    ESC, 0x61, lookup(ALIGNMENTS, element.align, "center", "alignment"),
+    GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0, // Model 2
+    GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, clamp(element.size, 1, 16, 6), // Module size
+    GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, errorLevel,
+    GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30, ...data,
+    GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30, // Print the stored symbol
+    LF,
+    ESC, 0x61, 0,
+  ];
+}
+
+// ESC p pulse: on/off times are in units of 2 ms
+function drawerKick({ pin = 2, onMs = 100, offMs = 100 } = {}) {
+  const pinCode = lookup(DRAWER_PINS, pin, 2, "drawer pin");
+  return [ESC, 0x70, pinCode, clamp(onMs / 2, 1, 255, 50), clamp(offMs / 2, 1, 255, 50)];
+}
+
+function encodeElement(element, lineWidth) {
+  if (typeof element === "string") return textLine({ text: element });
+  if (!element || typeof element !== "object") throw new Error("Receipt lines must be strings or objects");
+
+  switch (element.type || "text") {
+    case "text":
+      return textLine(element);
+    case "rule":
+      return textLine({ text: String(element.char || "-").charAt(0).repeat(lineWidth) });
+    case "feed":
+      return [ESC, 0x64, clamp(element.lines, 0, 255, 1)];
+    case "barcode":
+      return barcode(element);
+    case "qr":
+      return qrCode(element);
+    case "cut":
+      // GS V m n: feed n dots then cut (65 = full, 66 = partial)
+      return [GS, 0x56, element.partial ? 66 : 65, clamp(element.feed, 0, 255, 48)];
+    case "drawer":
+      return drawerKick(element);
+    default:
+      throw new Error(`Unknown receipt element type "${element.type}"`);
+  }
+}
+
+function encodeReceipt(document) {
+  const lines = Array.isArray(document) ? document : document && document.lines;
+  if (!Array.isArray(lines)) throw new Error("Receipt document must have a lines array");
+
+  const lineWidth = clamp(document.width, 16, 96, DEFAULT_LINE_WIDTH);
+  const bytes = [
+    ESC, 0x40, // Initialise printer
+    ESC, 0x74, 16, // Code page WPC1252
+  ];
+
+  lines.forEach((element, index) => {
+    try {
+      bytes.push(...encodeElement(element, lineWidth));
+    } catch (error) {
+      throw new Error(`Line ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return Buffer.from(bytes);
+}
+
+// Standalone drawer kick, for opening the drawer without printing anything
+function encodeDrawerKick(options) {
+  return Buffer.from(drawerKick(options));
+}
+
+// Rows per GS v 0 command; many printers choke on one huge raster block
+const RASTER_BAND_HEIGHT = 128;
+
+// Encode a BGRA bitmap (as returned by NativeImage.toBitmap()) as a
+// 1-bit GS v 0 raster image, thresholding on luminance
+function encodeRaster({ data, width, height }, { threshold = 160, cut = true } = {}) {
+  const bytesPerRow = Math.ceil(width / 8);
+  const chunks = [Buffer.from([ESC, 0x40, ESC, 0x61, 0])];
+
+  for (let bandTop = 0; bandTop < height; bandTop += RASTER_BAND_HEIGHT) {
+    const bandHeight = Math.min(RASTER_BAND_HEIGHT, height - bandTop);
+    const band = Buffer.alloc(8 + bytesPerRow * bandHeight);
+    band.set([GS, 0x76, 0x30, 0, bytesPerRow & 0xff, bytesPerRow >> 8, bandHeight & 0xff, bandHeight >> 8]);
+
+    for (let y = 0; y < bandHeight; y++) {
+      for (let x = 0; x < width; x++) {
+        const offset = ((bandTop + y) * width + x) * 4;
+        const alpha = data[offset + 3] / 255;
+        const luminance = 0.114 * data[offset] + 0.587 * data[offset + 1] + 0.299 * data[offset + 2];
+
+        // Blend transparent pixels onto white paper
+        if (luminance * alpha + 255 * (1 - alpha) < threshold) {
+          band[8 + y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+      }
+    }
+
+    chunks.push(band);
+  }
+
+  if (cut) chunks.push(Buffer.from([GS, 0x56, 66, 48]));
+  return Buffer.concat(chunks);
+}
+
+module.exports = { encodeReceipt, encodeRaster, encodeDrawerKick, BARCODE_FORMATS };
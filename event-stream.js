@@ -0,0 +1,57 @@
+// event-stream.js - Server-Sent Events feed of what the agent is doing
+//
+// Clients open GET /events (with EventSource in a browser) and receive
+//   event: job        a job was queued or changed status (the job record)
+//   event: printer    a route's printer changed state, e.g. went offline or came back
+//   event: settings   settings were changed ({ changed: ["routes", ...] })
+// ?types=job,printer limits the stream to those event types.
+const EVENT_TYPES = ["job", "printer", "settings"];
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_MS = 25000;
+
+function createEventStream() {
+  const clients = new Set();
+  let nextId = 1;
+
+  function handler(req, res) {
+    const types = req.query.types ? String(req.query.types).split(",").map((type) => type.trim()) : EVENT_TYPES;
+    const unknown = types.filter((type) => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown event type "${unknown[0]}". Expected: ${EVENT_TYPES.join(", ")}`,
+      });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+
+    const client = { res, types };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  function publish(type, data) {
+    if (clients.size === 0) return;
+
+    const message = `id: ${nextId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of clients) {
+      if (client.types.includes(type)) client.res.write(message);
+    }
+  }
+
+  return { handler, publish };
+}
+
+module.exports = { createEventStream, EVENT_TYPES };
@@ -0,0 +1,238 @@
+// label.js - Encode label documents as ZPL (Zebra) or TSPL (TSC) commands
+//
+// A label is { width, height, elements: [...] } with sizes and positions in
+// mm, plus optional copies (default 1) and gap (mm between labels, TSPL only).
+// Elements:
+//   { type: "text", x, y, text, size, rotate }           size: character height in mm (default 3)
+//   { type: "barcode", x, y, data, format, height, module, hri, rotate }
+//                                                        format: CODE128 (default), CODE39, EAN13, EAN8, UPCA
+//                                                        height in mm, module: narrow bar width in dots
+//   { type: "qr", x, y, data, size, errorCorrection }    size: module size in dots (1-10)
+// rotate is 0, 90, 180 or 270. The printer's language and resolution come
+// from the route's label settings:
+//   label: { language: "zpl" | "tspl", dpi: 203 | 300 | 600 }
+//
+// Like the ESC/POS encoder this is pure, so output can be checked byte-for-byte
+// against a file: destination without a printer attached.
+
+const LABEL_LANGUAGES = ["zpl", "tspl"];
+const LABEL_DPIS = [203, 300, 600];
+const DEFAULT_LABEL = { language: "zpl", dpi: 203 };
+
+const MAX_LABEL_MM = 300;
+const MAX_COPIES = 1000;
+
+// Format name -> ZPL barcode command and TSPL code type. ZPL's ^B3 takes a
+// check digit flag before the height.
+const LABEL_BARCODES = {
+  CODE128: { zpl: "^BC", tspl: "128" },
+  CODE39: { zpl: "^B3", tspl: "39", zplCheckDigit: true },
+  EAN13: { zpl: "^BE", tspl: "EAN13" },
+  EAN8: { zpl: "^B8", tspl: "EAN8" },
+  UPCA: { zpl: "^BU", tspl: "UPCA" },
+};
+
+const ZPL_ORIENTATIONS = { 0: "N", 90: "R", 180: "I", 270: "B" };
+const QR_ERROR_LEVELS = ["L", "M", "Q", "H"];
+
+// TSPL's built-in font 3 is 24 dots high; larger text is drawn with multipliers
+const TSPL_FONT_DOTS = 24;
+
+function number(value, name, min, max, fallback) {
+  if (value === undefined || value === null) return fallback;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    throw new Error(`${name} must be a number from ${min} to ${max}`);
+  }
+  return parsed;
+}
+
+function rotation(element) {
+  const rotate = element.rotate === undefined ? 0 : Number(element.rotate);
+  if (!Object.prototype.hasOwnProperty.call(ZPL_ORIENTATIONS, rotate)) {
+    throw new Error("rotate must be 0, 90, 180 or 270");
+  }
+  return rotate;
+}
+
+function requiredText(value, name) {
+  // Line breaks and control characters could end the command early
+  const text = String(value === undefined || value === null ? "" : value).replace(/[\u0000-\u001f\u007f]/g, " ");
+  if (!text.trim()) throw new Error(`${name} is missing`);
+  return text;
+}
+
+// Check an element and bring it to dots; shared by both languages
+function normalizeElement(element, toDots) {
+  if (!element || typeof element !== "object") throw new Error("Label elements must be objects");
+
+  const position = {
+    x: toDots(number(element.x, "x", 0, MAX_LABEL_MM, 0)),
+    y: toDots(number(element.y, "y", 0, MAX_LABEL_MM, 0)),
+  };
+
+  switch (element.type || "text") {
+    case "text":
+      return {
+        type: "text",
+        ...position,
+        text: requiredText(element.text, "Text"),
+        height: toDots(number(element.size, "size", 1, 50, 3)),
+        rotate: rotation(element),
+      };
+    case "barcode": {
+      const format = String(element.format || "CODE128").toUpperCase().replace(/[^A-Z0-9]/g, "");
+      if (!LABEL_BARCODES[format]) {
+        throw new Error(`Unknown barcode format "${element.format}". Expected one of: ${Object.keys(LABEL_BARCODES).join(", ")}`);
+      }
+      return {
+        type: "barcode",
+        ...position,
+        format,
+        data: requiredText(element.data, "Barcode data"),
+        height: toDots(number(element.height, "height", 2, 100, 10)),
+        module: Math.round(number(element.module, "module", 1, 10, 2)),
+        hri: element.hri !== false,
+        rotate: rotation(element),
+      };
+    }
+    case "qr": {
+      const errorCorrection = String(element.errorCorrection || "M").toUpperCase();
+      if (!QR_ERROR_LEVELS.includes(errorCorrection)) {
+        throw new Error(`Unknown QR error correction level "${element.errorCorrection}". Expected one of: ${QR_ERROR_LEVELS.join(", ")}`);
+      }
+      return {
+        type: "qr",
+        ...position,
+        data: requiredText(element.data, "QR data"),
+        size: Math.round(number(element.size, "size", 1, 10, 4)),
+        errorCorrection,
+      };
+    }
+    default:
+      throw new Error(`Unknown label element type "${element.type}"`);
+  }
+}
+
+// ^FH makes "_" a hex escape, so field data can't contain "^" or "~" commands
+function zplField(text) {
+  return `^FH^FD${text.replace(/[_^~]/g, (char) => `_${char.charCodeAt(0).toString(16).toUpperCase()}`)}^FS`;
+}
+
+function zplElement(element) {
+  const origin = `^FO${element.x},${element.y}`;
+  switch (element.type) {
+    case "text": {
+      const orientation = ZPL_ORIENTATIONS[element.rotate];
+      return `${origin}^A0${orientation},${element.height},${element.height}${zplField(element.text)}`;
+    }
+    case "barcode": {
+      const barcode = LABEL_BARCODES[element.format];
+      const checkDigit = barcode.zplCheckDigit ? "N," : "";
+      const hri = element.hri ? "Y" : "N";
+      const command = `${barcode.zpl}${ZPL_ORIENTATIONS[element.rotate]},${checkDigit}${element.height},${hri},N`;
+      return `${origin}^BY${element.module}${command}${zplField(element.data)}`;
+    }
+    case "qr":
+      // Field data starts with the error correction level and "A," (automatic encoding)
+      return `${origin}^BQN,2,${element.size}${zplField(`${element.errorCorrection}A,${element.data}`)}`;
+    default:
+      return "";
+  }
+}
+
+function encodeZpl(label, elements, toDots) {
+  return [
+    "^XA",
+    "^CI28", // UTF-8
+    `^PW${toDots(label.width)}`,
+    `^LL${toDots(label.height)}`,
+    ...elements.map(zplElement),
+    `^PQ${label.copies}`,
+    "^XZ",
+    "",
+  ].join("\n");
+}
+
+// TSPL strings are quoted; \["] stands for a quote inside one
+function tsplString(text) {
+  return `"${text.replace(/"/g, '\\["]')}"`;
+}
+
+function tsplElement(element) {
+  switch (element.type) {
+    case "text": {
+      const scale = Math.min(10, Math.max(1, Math.round(element.height / TSPL_FONT_DOTS)));
+      return `TEXT ${element.x},${element.y},"3",${element.rotate},${scale},${scale},${tsplString(element.text)}`;
+    }
+    case "barcode": {
+      const { tspl } = LABEL_BARCODES[element.format];
+      const hri = element.hri ? 1 : 0;
+      return `BARCODE ${element.x},${element.y},"${tspl}",${element.height},${hri},${element.rotate},${element.module},${element.module * 2},${tsplString(element.data)}`;
+    }
+    case "qr":
+      return `QRCODE ${element.x},${element.y},${element.errorCorrection},${element.size},A,0,${tsplString(element.data)}`;
+    default:
+      return "";
+  }
+}
+
+function encodeTspl(label, elements) {
+  return [
+    `SIZE ${label.width} mm,${label.height} mm`,
+    `GAP ${label.gap} mm,0 mm`,
+    "CODEPAGE UTF-8",
+    "CLS",
+    ...elements.map(tsplElement),
+    `PRINT ${label.copies}`,
+    "",
+  ].join("\r\n");
+}
+
+// Returns an error message, or null when a route's label settings are valid
+function validateLabelSettings(routeName, settings) {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return `Route "${routeName}" label settings must be an object like { "language": "zpl", "dpi": 203 }`;
+  }
+  if (!LABEL_LANGUAGES.includes(settings.language)) {
+    return `Route "${routeName}" label language must be one of: ${LABEL_LANGUAGES.join(", ")}`;
+  }
+  if (settings.dpi !== undefined && !LABEL_DPIS.includes(settings.dpi)) {
+    return `Route "${routeName}" label dpi must be one of: ${LABEL_DPIS.join(", ")}`;
+  }
+  return null;
+}
+
+// Encode `label` for a printer with `settings` ({ language, dpi }); throws on
+// an invalid label, naming the element at fault
+function encodeLabel(label, settings = DEFAULT_LABEL) {
+  if (!label || typeof label !== "object" || !Array.isArray(label.elements)) {
+    throw new Error("Label must have an elements array");
+  }
+
+  const { language, dpi = DEFAULT_LABEL.dpi } = settings;
+  if (!LABEL_LANGUAGES.includes(language)) {
+    throw new Error(`Label language must be one of: ${LABEL_LANGUAGES.join(", ")}`);
+  }
+  const toDots = (mm) => Math.round((mm * dpi) / 25.4);
+  const size = {
+    width: number(label.width, "width", 10, MAX_LABEL_MM, undefined),
+    height: number(label.height, "height", 5, MAX_LABEL_MM, undefined),
+    gap: number(label.gap, "gap", 0, 20, 2),
+    copies: Math.round(number(label.copies, "copies", 1, MAX_COPIES, 1)),
+  };
+  if (size.width === undefined || size.height === undefined) throw new Error("Label needs a width and height in mm");
+
+  const elements = label.elements.map((element, index) => {
+    try {
+      return normalizeElement(element, toDots);
+    } catch (error) {
+      throw new Error(`Element ${index + 1}: ${error.message}`);
+    }
+  });
+
+  const commands = language === "tspl" ? encodeTspl(size, elements) : encodeZpl(size, elements, toDots);
+  return Buffer.from(commands, "utf8");
+}
+
+module.exports = { LABEL_LANGUAGES, LABEL_DPIS, LABEL_BARCODES, encodeLabel, validateLabelSettings };
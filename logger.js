@@ -0,0 +1,187 @@
+// logger.js - Leveled, persistent logging for the agent
+//
+// Every entry is written to the console and, once configure() has been given
+// a directory, appended as one JSON line to agent.log there. The file rotates
+// to agent.1.log ... agent.N.log when it grows past maxBytes, so the logs
+// survive restarts without growing forever.
+//
+// Entries look like { time, level, message, jobId, route, printer, ... }:
+// extra fields passed to a log call are kept as-is for filtering. With
+// format "json" the console gets the same JSON lines, for log collectors.
+const fs = require("fs");
+const path = require("path");
+
+const LEVELS = ["debug", "info", "warn", "error"];
+const LOG_FILE = "agent.log";
+const RECENT_LIMIT = 1000;
+
+const CONSOLE_METHODS = { debug: "log", info: "log", warn: "warn", error: "error" };
+
+let options = { dir: null, maxBytes: 1024 * 1024, maxFiles: 5, format: "text" };
+let currentSize = 0;
+const recent = [];
+const listeners = new Set();
+
+function configure(newOptions) {
+  options = { ...options, ...newOptions };
+
+  if (options.dir) {
+    fs.mkdirSync(options.dir, { recursive: true });
+    try {
+      currentSize = fs.statSync(path.join(options.dir, LOG_FILE)).size;
+    } catch (error) {
+      currentSize = 0;
+    }
+  }
+}
+
+function logFiles() {
+  if (!options.dir) return [];
+
+  // Oldest first
+  const files = [];
+  for (let index = options.maxFiles - 1; index >= 1; index--) {
+    files.push(path.join(options.dir, `agent.${index}.log`));
+  }
+  files.push(path.join(options.dir, LOG_FILE));
+  return files.filter((file) => fs.existsSync(file));
+}
+
+function rotate() {
+  const dir = options.dir;
+  fs.rmSync(path.join(dir, `agent.${options.maxFiles - 1}.log`), { force: true });
+
+  for (let index = options.maxFiles - 2; index >= 1; index--) {
+    const from = path.join(dir, `agent.${index}.log`);
+    if (fs.existsSync(from)) fs.renameSync(from, path.join(dir, `agent.${index + 1}.log`));
+  }
+
+  fs.renameSync(path.join(dir, LOG_FILE), path.join(dir, "agent.1.log"));
+  currentSize = 0;
+}
+
+function serializeFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    result[key] = value instanceof Error ? value.message : value;
+  }
+  return result;
+}
+
+function writeConsole(entry) {
+  if (options.format === "json") {
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+
+  const { time, level, message, ...fields } = entry;
+  const method = CONSOLE_METHODS[level];
+
+  if (Object.keys(fields).length > 0) {
+    console[method](message, fields);
+  } else {
+    console[method](message);
+  }
+}
+
+function write(level, message, fields = {}) {
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...serializeFields(fields),
+  };
+
+  writeConsole(entry);
+
+  recent.push(entry);
+  if (recent.length > RECENT_LIMIT) recent.shift();
+
+  if (options.dir) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const size = Buffer.byteLength(line);
+    try {
+      if (currentSize + size > options.maxBytes && currentSize > 0) rotate();
+      fs.appendFileSync(path.join(options.dir, LOG_FILE), line);
+      currentSize += size;
+    } catch (error) {
+      console.error("Failed to write log file:", error.message);
+    }
+  }
+
+  for (const listener of listeners) listener(entry);
+  return entry;
+}
+
+function readEntries() {
+  if (!options.dir) return [...recent];
+
+  const entries = [];
+  for (const file of logFiles()) {
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Skip a line cut short by a crash
+      }
+    }
+  }
+  return entries;
+}
+
+function toIsoDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name} date "${value}"`);
+  return date.toISOString();
+}
+
+// filter: { level (minimum), jobId, route, printer, search, since, until, limit }
+function queryLogs(filter = {}) {
+  const minLevel = filter.level ? LEVELS.indexOf(filter.level) : 0;
+  if (minLevel === -1) throw new Error(`Unknown log level "${filter.level}". Expected one of: ${LEVELS.join(", ")}`);
+
+  const search = filter.search ? String(filter.search).toLowerCase() : null;
+  const since = filter.since ? toIsoDate(filter.since, "since") : null;
+  const until = filter.until ? toIsoDate(filter.until, "until") : null;
+
+  const matches = readEntries().filter((entry) =>
+    LEVELS.indexOf(entry.level) >= minLevel &&
+    (!filter.jobId || entry.jobId === filter.jobId) &&
+    (!filter.route || entry.route === filter.route) &&
+    (!filter.printer || entry.printer === filter.printer) &&
+    (!since || entry.time >= since) &&
+    (!until || entry.time <= until) &&
+    (!search || JSON.stringify(entry).toLowerCase().includes(search))
+  );
+
+  const limit = filter.limit || 500;
+  return matches.slice(-limit);
+}
+
+// Concatenate every log file, oldest first, for exporting
+function exportLogs(destination) {
+  const files = logFiles();
+  fs.writeFileSync(destination, "");
+  for (const file of files) fs.appendFileSync(destination, fs.readFileSync(file));
+}
+
+function onEntry(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const logger = {
+  LEVELS,
+  configure,
+  queryLogs,
+  exportLogs,
+  onEntry,
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+module.exports = logger;
@@ -6,6 +6,8 @@ const {
   Menu,
   nativeImage,
   ipcMain,
+  session,
+  protocol,
 } = require("electron");
 const { execSync } = require('child_process');
 
@@ -17,20 +19,149 @@ const path = require("path");
 const os = require("os");
 const fs = require("fs");
 const cheerio = require("cheerio");
+const { createPrintQueue, JOB_STATUSES } = require("./print-queue");
+const {
+  BUILT_IN_ROUTES,
+  migrateLegacyPrinters,
+  getRoutes,
+  getRoute,
+  resolveDestination,
+  validateRoutes,
+} = require("./print-routes");
+const { encodeReceipt, encodeRaster, encodeDrawerKick } = require("./escpos");
+const { encodeLabel } = require("./label");
+const { sendRaw, isDirectDestination, setFileSinkDir } = require("./raw-printer");
+const {
+  TEMPLATE_NAME_PATTERN,
+  renderTemplate,
+  listTemplates,
+  loadTemplate,
+} = require("./templates");
+const {
+  UPLOAD_TYPES,
+  parseUpload,
+  parseEncodedFile,
+  parsePaperWidth,
+  imageHtml,
+} = require("./print-input");
+const {
+  generateApiKey,
+  corsOptions,
+  authMiddleware,
+  isLoopbackAddress,
+  refusedOriginList,
+  migrateAllowedOrigins,
+} = require("./auth");
+const { createPrinterMonitor } = require("./printer-monitor");
+const { createEventStream } = require("./event-stream");
+const { createRenderPool } = require("./render-pool");
+const { createPrinterCache } = require("./printer-cache");
+const { SCRIPTS_OFF_MESSAGE, parseReady, resolveReady, readyScript } = require("./readiness");
+const { sanitizeHtml, requestAllowed, migrateRendering, secureRenderSession } = require("./render-sandbox");
+const { createAssetStore, MAX_ASSET_BYTES } = require("./asset-store");
+const { DEFAULT_ORDER_ROUTING, splitOrder } = require("./order-routing");
+const {
+  parsePrintSettings,
+  resolvePrintSettings,
+  driverPrintOptions,
+} = require("./print-profiles");
+const { USAGE, parseCliOptions, missingDisplay, storeLocation } = require("./cli-options");
+const {
+  RESTART_KEYS,
+  validateConfig,
+  exportConfig,
+  importConfig,
+  redactConfig,
+  restoreApiKeys,
+  readConfigFile,
+  provisioningFile,
+} = require("./config");
+const logger = require("./logger");
+
+// Flags come after the app path: `electron . --headless` or `silent-print-agent --headless`
+let cliOptions;
+try {
+  cliOptions = parseCliOptions(process.argv.slice(app.isPackaged ? 1 : 2), process.env);
+} catch (error) {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+}
+if (cliOptions.help) {
+  process.stdout.write(`${USAGE}\n`);
+  process.exit(0);
+}
+
+// Electron's own error for this doesn't say what to do about it
+const displayProblem = missingDisplay(process.platform, process.env, process.argv);
+if (displayProblem) {
+  process.stderr.write(`${displayProblem}\n`);
+  process.exit(1);
+}
 
 // Initialize persistent store with defaults
+const storeOptions = storeLocation(cliOptions.configFile, app.getPath("userData"));
+const storeFile = path.join(
+  storeOptions.cwd,
+  storeOptions.fileExtension ? `${storeOptions.name}.${storeOptions.fileExtension}` : storeOptions.name
+);
+const firstLaunch = !fs.existsSync(storeFile);
+
 const store = new Store({
+  ...storeOptions,
   defaults: {
     port: 4000,
-    printerName: "XP-80C Main",
-    kotPrinterName: "XP-80C",
-    botPrinterName: "XP-80C Bar",
+    bindAddress: "localhost",
+    allowedOrigins: [],
+    apiKeys: [],
+    historyLimit: 200,
+    orderRouting: DEFAULT_ORDER_ROUTING,
+    profiles: {},
   },
 });
 
+// Keep logs next to the settings so they survive restarts
+logger.configure({ dir: path.join(app.getPath("userData"), "logs"), format: cliOptions.logFormat });
+
+// file: destinations can only write here
+setFileSinkDir(path.join(app.getPath("userData"), "print-files"));
+
+// Print pages load logos and fonts as asset://name; fonts need CORS to load
+// across origins, and schemes can only be registered before the app is ready
+protocol.registerSchemesAsPrivileged([
+  { scheme: "asset", privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true } },
+]);
+
+migrateLegacyPrinters(store);
+migrateRendering(store, !firstLaunch);
+const originsNeedAdding = migrateAllowedOrigins(store, !firstLaunch);
+if (firstLaunch) applyProvisioningFile();
+applyCliOverrides();
+
+if (cliOptions.headless) {
+  // No screen to draw on; print windows render in software
+  app.disableHardwareAcceleration();
+
+  // Let systemd and Ctrl+C stop the agent cleanly
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => {
+      logger.info(`Received ${signal}, shutting down`);
+      app.quit();
+    });
+  }
+}
+
 let tray = null;
 let settingsWindow = null;
+let logsWindow = null;
 let server = null;
+let httpServer = null;
+let serverError = null;
+let printQueue = null;
+let printerMonitor = null;
+let printerCache = null;
+let renderPool = null;
+let assetStore = null;
+const eventStream = createEventStream();
 
 // Configure auto-launch on system boot
 const autoLauncher = new AutoLaunch({
@@ -40,24 +171,79 @@ const autoLauncher = new AutoLaunch({
 
 // Initialize app when ready
 app.whenReady().then(async () => {
-  try {
-    // Enable auto-start on boot
-    const isEnabled = await autoLauncher.isEnabled();
-    if (!isEnabled) {
-      await autoLauncher.enable();
-      console.log("✅ Auto-launch enabled");
+  // A service manager starts headless agents, not the login session
+  if (!cliOptions.headless) {
+    try {
+      // Enable auto-start on boot
+      const isEnabled = await autoLauncher.isEnabled();
+      if (!isEnabled) {
+        await autoLauncher.enable();
+        logger.info("✅ Auto-launch enabled");
+      }
+    } catch (error) {
+      logger.error("Auto-launch setup error", { error });
     }
-  } catch (error) {
-    console.error("Auto-launch setup error:", error);
   }
 
+  if (cliOptions.headless && app.dock) app.dock.hide();
+
+  printerCache = createPrinterCache({ fetchPrinters: listOsPrinters });
+  printerCache.start();
+
+  // Print HTML is untrusted: its session only reaches the configured hosts
+  const renderSession = session.fromPartition(RENDER_PARTITION);
+  secureRenderSession(renderSession, () => store.get("rendering"), __dirname);
+
+  assetStore = createAssetStore({ dir: path.join(app.getPath("userData"), "assets") });
+  renderSession.protocol.registerBufferProtocol("asset", (request, callback) => {
+    const asset = assetStore.resolve(request.url);
+    if (!asset) return callback({ statusCode: 404, data: Buffer.alloc(0) });
+    callback({ mimeType: asset.contentType, data: asset.data, headers: { "Access-Control-Allow-Origin": "*" } });
+  });
+
+  renderPool = createRenderPool({ createWindow: createRenderWindow, size: RENDER_POOL_SIZE });
+  renderPool.warm();
+
+  // Restore spooled jobs and start working through them
+  printQueue = createPrintQueue({
+    dir: path.join(app.getPath("userData"), "print-jobs"),
+    processJob: processPrintJob,
+    keepFinished: store.get("historyLimit"),
+    concurrency: PRINT_CONCURRENCY,
+    concurrencyKey: (job) => {
+      const route = getRoute(store, job.route);
+      return route ? route.printer : job.route;
+    },
+  });
+  printQueue.start();
+
   // Create system tray icon
-  createTray();
+  if (!cliOptions.headless) createTray();
+  if (originsNeedAdding && !cliOptions.headless) showAllowedOriginsNotice();
+  store.onDidChange("allowedOrigins", updateTrayMenu);
+
+  // Keep an eye on every route's printer and reflect problems in the tray
+  printerMonitor = createPrinterMonitor({
+    getRoutes: () => getRoutes(store),
+    getPrinters: () => printerCache.refresh(),
+  });
+  printerMonitor.on("change", updateTrayMenu);
+  printerMonitor.start();
+
+  // Feed the live event stream at /events
+  printQueue.on("update", (job) => eventStream.publish("job", job));
+  printerMonitor.on("route", (result) => eventStream.publish("printer", result));
+  store.onDidAnyChange((newSettings = {}, oldSettings = {}) => {
+    // Only the names of what changed: values include API keys
+    const changed = Array.from(new Set([...Object.keys(newSettings), ...Object.keys(oldSettings)]))
+      .filter((key) => JSON.stringify(newSettings[key]) !== JSON.stringify(oldSettings[key]));
+    if (changed.length > 0) eventStream.publish("settings", { changed });
+  });
 
   // Start local print server
   startPrintServer();
 
-  console.log("🚀 Silent Print Agent started successfully");
+  logger.info("🚀 Silent Print Agent started successfully", { headless: cliOptions.headless });
 });
 
 // Prevent app from quitting when all windows are closed
@@ -77,16 +263,39 @@ app.on("before-quit", () => {
   app.isQuitting = true;
 });
 
-function createTray() {
-  // Create tray icon
-  const iconPath = path.join(__dirname, "icon.png");
+// Fleet rollouts drop a config file on the machine; a new install starts from it
+function applyProvisioningFile() {
+  const file = provisioningFile();
+  if (!fs.existsSync(file)) return;
 
-  // Create native image with proper sizing
-  const icon = nativeImage.createFromPath(iconPath);
-  const resizedIcon = icon.resize({ width: 16, height: 16 });
+  try {
+    const imported = importConfig(store, readConfigFile(file));
+    logger.info(`📦 Imported provisioning file ${file}`, { settings: imported.join(", ") });
+  } catch (error) {
+    logger.error(`❌ Ignoring provisioning file ${file}: ${error.message}`);
+  }
+}
 
-  tray = new Tray(resizedIcon);
-  tray.setToolTip("Silent Print Agent - Running");
+// --port and --route settings override (and are saved over) the stored ones
+function applyCliOverrides() {
+  if (cliOptions.port) store.set("port", cliOptions.port);
+  if (cliOptions.routes.length === 0) return;
+
+  const routes = { ...getRoutes(store) };
+  for (const { name, printer } of cliOptions.routes) {
+    routes[name] = { ...routes[name], printer };
+  }
+
+  const validationError = validateRoutes(routes);
+  if (validationError) {
+    logger.error(`❌ Invalid --route: ${validationError}`);
+    process.exit(1);
+  }
+  store.set("routes", routes);
+}
+
+function createTray() {
+  tray = new Tray(trayIcon(false));
 
   updateTrayMenu();
 
@@ -96,11 +305,76 @@ function createTray() {
   });
 }
 
+// The app icon at tray size, with an orange dot in the corner when a printer needs attention
+function trayIcon(warning) {
+  const icon = nativeImage.createFromPath(path.join(__dirname, "icon.png")).resize({ width: 16, height: 16 });
+  if (!warning) return icon;
+
+  const { width, height } = icon.getSize();
+  const bitmap = icon.toBitmap(); // BGRA
+  const radius = 3.5;
+  const centerX = width - radius - 0.5;
+  const centerY = height - radius - 0.5;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if ((x - centerX) ** 2 + (y - centerY) ** 2 > radius ** 2) continue;
+      bitmap.set([0x12, 0x9c, 0xf3, 0xff], (y * width + x) * 4);
+    }
+  }
+
+  return nativeImage.createFromBitmap(bitmap, { width, height });
+}
+
+// Browser origins refused since startup that still aren't allowed
+function refusedOrigins() {
+  const allowed = store.get("allowedOrigins", []);
+  return refusedOriginList().filter((origin) => !allowed.includes(origin));
+}
+
+// Upgraded installs used to accept any browser page; a POS running in one
+// stops printing until its origin is added, so tell whoever is at the till
+function showAllowedOriginsNotice() {
+  const { dialog } = require("electron");
+  dialog.showMessageBox({
+    type: "warning",
+    title: "Allowed Origins",
+    message: "Browser pages can no longer print until their origin is allowed",
+    detail: "If your POS runs in a web browser, add its address (e.g. https://pos.example.com) "
+      + "under Allowed Origins in Settings. Refused origins are listed in the tray menu.",
+    buttons: ["Open Settings", "Later"],
+    defaultId: 0,
+  }).then(({ response }) => {
+    if (response === 0) openSettings();
+  });
+}
+
+// One line per route that isn't printing normally, e.g. "kot: Kitchen printer is offline"
+function printerProblems() {
+  if (!printerMonitor) return [];
+
+  return Object.entries(printerMonitor.getStatus().routes)
+    .filter(([, result]) => result.state !== "ok" && result.state !== "unknown")
+    .map(([name, result]) => `${name}: ${result.printer} ${result.problem || result.state}`);
+}
+
+const MAX_TRAY_ORIGINS = 5;
+
 function updateTrayMenu() {
-  const currentPort = store.get("port");
-  const iconPath = path.join(__dirname, "icon.png");
-  const icon = nativeImage.createFromPath(iconPath);
-  const resizedIcon = icon.resize({ width: 16, height: 16 });
+  if (!tray) return;
+
+  const currentPort = httpServer ? httpServer.address().port : store.get("port");
+  const host = isLoopbackAddress(store.get("bindAddress")) ? "localhost" : store.get("bindAddress");
+  const resizedIcon = trayIcon(false);
+  const problems = printerProblems();
+  const refused = refusedOrigins();
+
+  tray.setImage(trayIcon(problems.length > 0 || refused.length > 0));
+  tray.setToolTip(
+    problems.length > 0
+      ? `Silent Print Agent - Printer problem\n${problems.join("\n")}`
+      : "Silent Print Agent - Running"
+  );
 
   // Create context menu
   const contextMenu = Menu.buildFromTemplate([
@@ -111,13 +385,24 @@ function updateTrayMenu() {
     },
     { type: "separator" },
     {
-      label: `Status: Running on port ${currentPort}`,
+      label: serverError
+        ? `⚠️ ${serverError.message}`
+        : problems.length > 0
+          ? "⚠️ Printer problem"
+          : `Status: Running on port ${currentPort}`,
       enabled: false,
     },
+    ...problems.map((problem) => ({ label: `   ${problem}`, enabled: false })),
     {
-      label: `Endpoint: http://localhost:${currentPort}`,
+      label: `Endpoint: http://${host}:${currentPort}`,
       enabled: false,
     },
+    ...(refused.length > 0
+      ? [
+        { label: "⚠️ Browser origins refused (add them in Settings):", enabled: false },
+        ...refused.slice(0, MAX_TRAY_ORIGINS).map((origin) => ({ label: `   ${origin}`, enabled: false })),
+      ]
+      : []),
     { type: "separator" },
     {
       label: "Settings",
@@ -131,6 +416,12 @@ function updateTrayMenu() {
         testPrint();
       },
     },
+    {
+      label: "Reprint Last Bill",
+      click: () => {
+        reprintLastBill();
+      },
+    },
     {
       label: "View Logs",
       click: () => {
@@ -181,82 +472,279 @@ function openSettings() {
 ipcMain.on("get-settings", (event) => {
   event.returnValue = {
     port: store.get("port"),
-    printerName: store.get("printerName"),
-    kotPrinterName: store.get("kotPrinterName"),
-    botPrinterName: store.get("botPrinterName"),
+    bindAddress: store.get("bindAddress"),
+    routes: getRoutes(store),
+    builtInRoutes: BUILT_IN_ROUTES,
+    allowedOrigins: store.get("allowedOrigins"),
+    apiKeys: store.get("apiKeys"),
+    orderRouting: store.get("orderRouting"),
+    profiles: store.get("profiles"),
+    rendering: store.get("rendering"),
   };
 });
 
-ipcMain.on("save-settings", (event, settings) => {
-  const oldPort = store.get("port");
+// The settings window asks over IPC so it works however the API is locked down
+ipcMain.handle("get-printers", async () => {
+  const printers = await printerCache.refresh();
+  return printers.map((p) => ({ name: p.name, isDefault: p.isDefault }));
+});
 
-  store.set("port", settings.port);
-  store.set("printerName", settings.printerName);
-  store.set("kotPrinterName", settings.kotPrinterName); 
-  store.set("botPrinterName", settings.botPrinterName); 
-  
+ipcMain.on("generate-api-key", (event) => {
+  event.returnValue = generateApiKey();
+});
+
+ipcMain.on("get-templates", (event) => {
+  const templates = templateSources();
+  event.returnValue = {
+    folder: templates.dirs[0],
+    templates: listTemplates(templates).map((template) => ({
+      ...template,
+      html: loadTemplate(templates, template.name),
+    })),
+  };
+});
 
+ipcMain.on("save-template", (event, { name, html }) => {
+  if (!TEMPLATE_NAME_PATTERN.test(name)) {
+    event.returnValue = { success: false, error: `Invalid template name "${name}"` };
+    return;
+  }
+
+  store.set(`templates.${name}`, html);
   event.returnValue = { success: true };
-  updateTrayMenu(); // Update tray to reflect new settings if needed
+});
 
-  // If port changed, notify user to restart
-  if (oldPort !== settings.port) {
-    const { dialog } = require("electron");
-    dialog
-      .showMessageBox(settingsWindow, {
-        type: "info",
-        title: "Restart Required",
-        message: "Port settings updated successfully!",
-        detail: "Please restart the Print Agent for changes to take effect.",
-        buttons: ["Restart Now", "Later"],
-      })
-      .then((result) => {
-        if (result.response === 0) {
-          app.relaunch();
-          app.quit();
-        }
-      });
-  } else {
-    settingsWindow.close();
+// Removes the settings copy; a file template of the same name shows through again
+ipcMain.on("delete-template", (event, name) => {
+  store.delete(`templates.${name}`);
+  event.returnValue = { success: true };
+});
+
+// Preview for the settings window: pasted HTML, or the route's most recent job
+ipcMain.handle("render-preview", async (event, { route, html }) => {
+  let payload = html ? { html } : null;
+
+  if (!payload) {
+    const [lastJob] = printQueue.listJobs().filter((job) => job.route === route);
+    if (!lastJob) throw new Error(`No jobs have been printed on route "${route}" yet`);
+    payload = printQueue.getPayload(lastJob.id);
   }
+
+  if (payload.document) throw new Error("ESC/POS documents can't be previewed");
+  if (payload.label) throw new Error("Labels can't be previewed");
+
+  const png = await renderPreview(payload, route, "png");
+  return `data:image/png;base64,${png.toString("base64")}`;
 });
 
+ipcMain.on("get-logs", (event, filter) => {
+  try {
+    event.returnValue = { success: true, entries: logger.queryLogs(filter) };
+  } catch (error) {
+    event.returnValue = { success: false, error: error.message };
+  }
+});
 
+// Resolves with the saved file, or null when the dialog was cancelled
+ipcMain.handle("export-logs", async () => {
+  const { dialog } = require("electron");
+  const { canceled, filePath } = await dialog.showSaveDialog(logsWindow, {
+    title: "Export Logs",
+    defaultPath: `print-agent-logs-${new Date().toISOString().slice(0, 10)}.log`,
+    filters: [{ name: "Log files", extensions: ["log", "txt"] }],
+  });
+  if (canceled || !filePath) return null;
 
-function startPrintServer() {
-  const PORT = store.get("port");
-  const defaultPrinter = store.get("printerName");
+  logger.exportLogs(filePath);
+  return filePath;
+});
+
+// Resolves with the saved file, or null when the dialog was cancelled
+ipcMain.handle("export-config", async () => {
+  const { dialog } = require("electron");
+  const { canceled, filePath } = await dialog.showSaveDialog(settingsWindow, {
+    title: "Export Settings",
+    defaultPath: "print-agent-config.json",
+    filters: [{ name: "JSON", extensions: ["json"] }],
+  });
+  if (canceled || !filePath) return null;
 
+  fs.writeFileSync(filePath, JSON.stringify(exportConfig(store), null, 2));
+  logger.info(`📤 Settings exported to ${filePath}`);
+  return filePath;
+});
+
+// Resolves with { file, imported, restartRequired }, or null when the dialog was cancelled
+ipcMain.handle("import-config", async () => {
+  const { dialog } = require("electron");
+  const { canceled, filePaths } = await dialog.showOpenDialog(settingsWindow, {
+    title: "Import Settings",
+    properties: ["openFile"],
+    filters: [{ name: "JSON", extensions: ["json"] }],
+  });
+  if (canceled || filePaths.length === 0) return null;
+
+  const [file] = filePaths;
+  const { imported, restartRequired } = await applySettings(readConfigFile(file));
+  logger.info(`📥 Settings imported from ${file}`, { settings: imported.join(", ") });
+
+  return { file, imported, restartRequired: restartRequired.length > 0 };
+});
+
+// Resolves with { success, error }; a port that can't be bound is reported
+// here and the agent stays on the old one
+ipcMain.handle("save-settings", async (event, settings) => {
+  try {
+    await applySettings(settings);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  settingsWindow.close();
+  return { success: true };
+});
+
+// Every settings change goes through here: the settings window, imports and
+// PUT /config. Rejects with a validation or bind error and changes nothing if
+// `config` can't be applied; resolves with the keys saved and those needing a
+// restart. A new port or address is bound before anything is saved.
+async function applySettings(config) {
+  const before = exportConfig(store);
+  const validationError = validateConfig(config, before);
+  if (validationError) throw new Error(validationError);
+
+  const port = config.port !== undefined ? config.port : before.port;
+  const host = config.bindAddress !== undefined ? config.bindAddress : before.bindAddress;
+  const move = port !== before.port || host !== before.bindAddress || (serverError && config.port !== undefined);
+  const listener = move ? await relisten(port, host) : null;
+
+  const imported = importConfig(store, config);
+  const restartRequired = RESTART_KEYS.filter(
+    (key) => JSON.stringify(before[key]) !== JSON.stringify(store.get(key))
+  );
+  if (listener) replaceListener(listener);
+
+  updateTrayMenu();
+  printerMonitor.check().catch((error) => logger.error("❌ Printer check failed", { error }));
+  return { imported, restartRequired };
+}
+
+// Resolves with the HTTP server once it accepts connections on `port` at `host`
+function listen(port, host) {
+  return new Promise((resolve, reject) => {
+    const listener = server.listen(port, host);
+    listener.once("listening", () => {
+      listener.off("error", onError);
+      resolve(listener);
+    });
+
+    function onError(error) {
+      if (error.code === "EADDRINUSE") reject(new Error(`Port ${port} is already in use by another program`));
+      else if (error.code === "EACCES") reject(new Error(`No permission to use port ${port}`));
+      else if (error.code === "EADDRNOTAVAIL") reject(new Error(`${host} is not an address of this computer`));
+      else reject(new Error(`Cannot listen on port ${port}: ${error.message}`));
+    }
+    listener.once("error", onError);
+  });
+}
+
+// Bind for applySettings. The same port on another address can't be bound
+// while the old listener holds it, so that one stops accepting first, and
+// listens again if the new address fails.
+async function relisten(port, host) {
+  if (!httpServer || httpServer.address().port !== port) return listen(port, host);
+
+  const previous = httpServer;
+  const previousHost = store.get("bindAddress");
+  previous.close();
+  try {
+    return await listen(port, host);
+  } catch (error) {
+    try {
+      httpServer = await listen(port, previousHost);
+    } catch (rebindError) {
+      httpServer = null;
+      serverError = rebindError;
+      logger.error(`❌ ${rebindError.message}; the print server is not running`);
+    }
+    throw error;
+  }
+}
+
+// Where the API can be reached, for logs
+function serverUrl(listener) {
+  const host = store.get("bindAddress");
+  return `http://${isLoopbackAddress(host) ? "localhost" : host}:${listener.address().port}`;
+}
+
+// Anyone on the network can try the API once it listens on a network address
+function warnIfExposed() {
+  const host = store.get("bindAddress");
+  if (!isLoopbackAddress(host)) {
+    logger.warn(`⚠️ The print API is listening on ${host} and can be reached from the network; only API key holders get in`);
+  }
+}
+
+// Requests already on the old port finish; event streams never end by
+// themselves, so they are cut after a grace period and clients reconnect
+const CLOSE_GRACE_MS = 5000;
+
+function replaceListener(listener) {
+  const previous = httpServer;
+  httpServer = listener;
+  serverError = null;
+  logger.info(`🔁 Print server now listening on ${serverUrl(listener)}`);
+  warnIfExposed();
+
+  if (!previous) return;
+  previous.close();
+  previous.closeIdleConnections();
+  setTimeout(() => previous.closeAllConnections(), CLOSE_GRACE_MS).unref();
+}
+
+function startPrintServer() {
   server = express();
-  server.use(express.json({ limit: "50mb" }));
-  server.use(express.urlencoded({ limit: "50mb", extended: true }));
 
+  // Check host, origin and API key before reading any request body
   const cors = require("cors");
-  server.use(cors({ origin: "*" }));
+  server.use(cors(corsOptions(store)));
+  server.use(authMiddleware(store, updateTrayMenu));
+
+  server.use(express.json({ limit: "50mb" }));
+  server.use(express.raw({ type: UPLOAD_TYPES, limit: "50mb" }));
+  server.use(express.urlencoded({ limit: "50mb", extended: true }));
 
   // Health check endpoint
   server.get("/", (req, res) => {
     res.json({
       status: "running",
       version: "1.0.0",
-      port: PORT,
+      port: httpServer ? httpServer.address().port : store.get("port"),
       platform: os.platform(),
-      defaultPrinter: defaultPrinter,
-      kotPrinter: store.get("kotPrinterName"),
+      routes: getRoutes(store),
       message: "Silent Print Agent is active",
     });
   });
 
+  // The agent itself is up whenever this answers; printer trouble shows as "degraded"
   server.get("/health", (req, res) => {
-    res.json({ status: "ok", timestamp: new Date().toISOString() });
+    const printerStatus = printerMonitor.getStatus();
+    const printers = Object.fromEntries(
+      Object.entries(printerStatus.routes).map(([name, result]) => [name, result.state])
+    );
+
+    res.json({
+      status: printerProblems().length > 0 ? "degraded" : "ok",
+      timestamp: new Date().toISOString(),
+      printers,
+      checkedAt: printerStatus.checkedAt,
+    });
   });
 
   // Get available printers
   server.get("/printers", async (req, res) => {
     try {
-      const tempWindow = new BrowserWindow({ show: false });
-      const printers = await tempWindow.webContents.getPrintersAsync();
-      tempWindow.close();
+      const printers = await printerCache.refresh();
 
       res.json({
         success: true,
@@ -269,7 +757,7 @@ function startPrintServer() {
         })),
       });
     } catch (error) {
-      console.error("❌ Error fetching printers:", error);
+      logger.error("❌ Error fetching printers", { error });
       res.status(500).json({
         success: false,
         error: error.message,
@@ -277,456 +765,930 @@ function startPrintServer() {
     }
   });
 
- // The updated endpoint
-server.post("/print", async (req, res) => {
-  const { html } = req.body;
-  if (!html) return res.status(400).json({ success: false, error: "Missing html in request body" });
+  // Detailed printer state per route; ?refresh=1 checks the printers again first
+  server.get("/status", async (req, res) => {
+    try {
+      const status = ["1", "true"].includes(req.query.refresh)
+        ? await printerMonitor.check()
+        : printerMonitor.getStatus();
+      res.json({ success: true, ...status });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
 
-  const storedPrinterName = store.get("printerName");
-  if (!storedPrinterName) return res.status(500).json({ success: false, error: "No printer configured." });
+  // Print endpoints queue the job and answer straight away;
+  // poll /jobs/:id for the outcome. { ready: { selector, printReady, timeout } }
+  // says when the page is rendered, e.g. once JsBarcode has drawn its bars.
+  server.post("/print/:route", (req, res) => queuePrintRequest(req.params.route, req, res));
 
-  let printWindow;
-  
-  try {
-    // Resolve the target printer
-    const tmpWindow = new BrowserWindow({ show: false });
-    const printers = await tmpWindow.webContents.getPrintersAsync();
-    tmpWindow.close();
-    
-    let targetPrinter = printers.find(p => p.name === storedPrinterName);
-    
-    // Fallback to default printer if configured printer not found
-    if (!targetPrinter) {
-      const defaultPrinters = printers.filter(p => p.isDefault);
-      if (defaultPrinters.length > 0) {
-        targetPrinter = defaultPrinters[0];
-        console.log(`⚠️ Printer "${storedPrinterName}" not found, using default: ${targetPrinter.name}`);
-      } else {
-        return res.status(404).json({ 
-          success: false, 
-          error: `Printer "${storedPrinterName}" not found and no default printer available.` 
-        });
-      }
+  // The original fixed endpoints are aliases for the built-in routes
+  for (const [name, builtIn] of Object.entries(BUILT_IN_ROUTES)) {
+    server.post(builtIn.endpoint, (req, res) => queuePrintRequest(name, req, res));
+  }
+
+  // Render a /print body without printing it, as PDF (default) or PNG
+  server.post("/preview", async (req, res) => {
+    const { format = "pdf", route = "bill" } = printOptions(req);
+
+    if (!PREVIEW_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of: ${PREVIEW_FORMATS.join(", ")}` });
+    }
+    if (!getRoute(store, route)) {
+      return res.status(404).json({ success: false, error: `Print route "${route}" not found.` });
     }
 
-    // Create print window - MUST BE VISIBLE for proper rendering
-    printWindow = new BrowserWindow({
-      show: false,  // Keep hidden but render on-screen
-      width: 800,
-      height: 600,
-      webPreferences: {
-        sandbox: false,
-        contextIsolation: false,
-        nodeIntegration: false,
-        webSecurity: false,
-        offscreen: false  // CRITICAL: Must be false for proper DPI rendering
+    try {
+      const output = await renderPreview(parsePrintRequest(req), route, format);
+      res.type(format === "png" ? "image/png" : "application/pdf").send(output);
+    } catch (error) {
+      logger.error("❌ Preview failed", { route, error });
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // List receipt templates available to /render and the print endpoints
+  server.get("/templates", (req, res) => {
+    res.json({ success: true, templates: listTemplates(templateSources()) });
+  });
+
+  // Fill a template with order data and return the HTML without printing
+  server.post("/render/:template", (req, res) => {
+    try {
+      res.type("html").send(fillTemplate(req.params.template, req.body.data));
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Print one order as a ticket per station plus the bill, routed by item category.
+  // With wait: true the response waits (up to 30s) for the tickets to print.
+  server.post("/orders/print", async (req, res) => {
+    const { order, openDrawer, wait } = req.body;
+
+    let jobs;
+    try {
+      jobs = splitOrder(order, store.get("orderRouting")).map((ticket) => {
+        if (!getRoute(store, ticket.route)) throw httpError(404, `Print route "${ticket.route}" not found.`);
+        return { ...ticket, html: fillTemplate(ticket.template, ticket.data) };
+      });
+      if (openDrawer) validateOpenDrawer(openDrawer);
+    } catch (error) {
+      return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+
+    // Everything is rendered before anything is queued, so a bad order prints nothing
+    const billRoute = store.get("orderRouting").billRoute;
+    const meta = { ...requestMeta(req), reference: order.reference ? String(order.reference) : undefined };
+    const stations = jobs.map(({ route, template, data, html }) => {
+      const payload = { html };
+      if (openDrawer && route === billRoute) payload.openDrawer = openDrawer;
+
+      try {
+        const job = printQueue.enqueue({ route, payload, meta });
+        return { route, template, items: data.items.length, success: true, jobId: job.id, status: job.status };
+      } catch (error) {
+        logger.error(`❌ Failed to queue ${route} ticket`, { route, error });
+        return { route, template, items: data.items.length, success: false, error: error.message };
       }
     });
 
-    // CRITICAL: Set zoom BEFORE loading content
-    printWindow.webContents.setZoomFactor(1.0);
-    printWindow.webContents.setVisualZoomLevelLimits(1, 1);
+    if (wait) {
+      await Promise.all(stations.filter((station) => station.success).map(async (station) => {
+        const job = await waitForJob(station.jobId, ORDER_WAIT_MS);
+        Object.assign(station, { status: job.status, printer: job.printer, error: job.error || undefined });
+        station.success = job.status !== "failed" && !job.error;
+      }));
+    }
+
+    res.status(202).json({
+      success: stations.every((station) => station.success),
+      reference: order.reference,
+      stations,
+    });
+  });
 
-    // EVENT-DRIVEN APPROACH
-    printWindow.webContents.on('did-finish-load', async () => {
+  // Print a structured receipt document as native ESC/POS
+  server.post("/print-raw", (req, res) => {
+    const { route = "bill", document } = req.body;
+    if (!document) return res.status(400).json({ success: false, error: "Missing document in request body" });
+
+    // Encode once up front so a malformed document is rejected immediately
+    try {
+      encodeReceipt(document);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: `Invalid document: ${error.message}` });
+    }
+
+    let printSettings;
+    try {
+      printSettings = jobPrintSettings(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    queueJob(route, { document, openDrawer: req.body.openDrawer, ...printSettings }, res, requestMeta(req));
+  });
+
+  // Print a label on a label route as ZPL or TSPL, e.g.
+  // { route: "labels", label: { width: 50, height: 30, elements: [{ type: "text", x: 2, y: 2, text: "Grill" }] } }
+  server.post("/print-label", (req, res) => {
+    const { route: routeName, label } = req.body;
+    if (!routeName) return res.status(400).json({ success: false, error: "Missing route in request body" });
+    if (!label) return res.status(400).json({ success: false, error: "Missing label in request body" });
+
+    const route = getRoute(store, routeName);
+    if (route && !route.label) {
+      return res.status(400).json({
+        success: false,
+        error: `Route "${routeName}" is not a label printer. Set its printer type in Settings.`,
+      });
+    }
+
+    // Encode once up front so a malformed label is rejected immediately
+    if (route) {
       try {
-        console.log('📄 Page loaded, waiting for resources...');
-        
-        // Wait for all resources
-        await printWindow.webContents.executeJavaScript(`
-          (async () => {
-            const imgs = Array.from(document.images);
-            await Promise.all(imgs.map(img => img.complete ? Promise.resolve()
-              : new Promise(r => { img.onload = img.onerror = r; })));
-            
-            if (document.fonts && document.fonts.ready) { 
-              await document.fonts.ready; 
-            }
-            
-            await new Promise(resolve => {
-              let attempts = 0;
-              const checkBarcode = () => {
-                const barcodeElements = document.querySelectorAll('[id^="barcode-"]');
-                const hasBarcode = Array.from(barcodeElements).some(el => el.querySelector('rect'));
-                
-                if (hasBarcode || attempts > 50) {
-                  resolve();
-                } else {
-                  attempts++;
-                  setTimeout(checkBarcode, 100);
-                }
-              };
-              checkBarcode();
-            });
-            
-            await new Promise(r => setTimeout(r, 300));
-          })();
-        `, true);
-
-        console.log('✅ All resources loaded');
-
-        console.log(`🖨️ Printing to ${targetPrinter.name}...`);
-
-        // THE FIX: Minimal options that let printer driver handle everything
-        // This makes silent:true behave like silent:false (dialog mode)
-        printWindow.webContents.print({
-          silent: true,
-          deviceName: targetPrinter.name,
-          printBackground: true,
-          color: false,
-          // DON'T specify margins - let printer use its defaults
-          // DON'T specify pageSize - let printer use its defaults  
-          // DON'T specify dpi - let printer use its native DPI
-          // DON'T specify scaleFactor - let printer handle scaling
-          
-          // Only specify what's absolutely necessary
-          landscape: false,
-          pagesPerSheet: 1,
-          collate: false,
-          copies: 1
-        }, (success, failureReason) => {
-          console.log('🖨️ Print callback triggered');
-          
-          if (!printWindow.isDestroyed()) {
-            printWindow.close();
-          }
-          
-          if (success) {
-            console.log('✅ Print successful');
-            return res.json({ 
-              success: true, 
-              message: "Bill sent to printer successfully",
-              printer: targetPrinter.name
-            });
-          } else {
-            console.error('❌ Print failed:', failureReason);
-            return res.status(500).json({ 
-              success: false, 
-              error: failureReason || "Print failed" 
-            });
-          }
-        });
-        
-      } catch (resourceError) {
-        console.error('❌ Resource loading error:', resourceError);
-        if (!printWindow.isDestroyed()) printWindow.close();
-        return res.status(500).json({ 
-          success: false, 
-          error: `Resource loading failed: ${resourceError.message}` 
-        });
+        encodeLabel(label, route.label);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: `Invalid label: ${error.message}` });
       }
-    });
+    }
+
+    queueJob(routeName, { label }, res, requestMeta(req));
+  });
+
+  // Open the cash drawer wired to a route's printer (the bill printer by default)
+  server.post("/drawer/open", async (req, res) => {
+    const { route = "bill", pin, onMs, offMs } = req.body;
+
+    let data;
+    try {
+      data = encodeDrawerKick({ pin, onMs, offMs });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    if (!getRoute(store, route)) {
+      return res.status(404).json({ success: false, error: `Print route "${route}" not found.` });
+    }
 
-    printWindow.webContents.on('did-fail-load', (event, errorCode, errorDescription) => {
-      console.error('❌ Page load failed:', errorCode, errorDescription);
-      if (!printWindow.isDestroyed()) printWindow.close();
-      return res.status(500).json({ 
-        success: false, 
-        error: `Failed to load content: ${errorDescription}` 
+    try {
+      const printer = await openCashDrawer(route, data);
+      res.json({ success: true, message: "Cash drawer opened", printer });
+    } catch (error) {
+      logger.error("❌ Failed to open cash drawer", { route, error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // List recent print jobs, optionally filtered by status
+  server.get("/jobs", (req, res) => {
+    const { status } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown status "${status}". Expected one of: ${JOB_STATUSES.join(", ")}`,
       });
+    }
+
+    const limit = parseInt(req.query.limit, 10) || 50;
+    res.json({ success: true, jobs: printQueue.listJobs({ status, limit }) });
+  });
+
+  // Report the status of a single print job
+  server.get("/jobs/:id", (req, res) => {
+    const job = printQueue.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Job "${req.params.id}" not found` });
+    }
+
+    res.json({ success: true, job });
+  });
+
+  // Finished jobs, newest first, e.g. /history?route=bill&from=2025-01-31&reference=A-1042
+  server.get("/history", (req, res) => {
+    const { route, reference } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    let from;
+    let to;
+    try {
+      from = historyDate(req.query.from, "from");
+      to = historyDate(req.query.to, "to");
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.json({ success: true, jobs: printQueue.listHistory({ route, reference, from, to, limit }) });
+  });
+
+  // Print a finished job again, on its own route or the one given in the body
+  server.post("/history/:id/reprint", (req, res) => {
+    const original = printQueue.getJob(req.params.id);
+    if (!original || !["done", "failed"].includes(original.status)) {
+      return res.status(404).json({ success: false, error: `No finished job "${req.params.id}" in the history` });
+    }
+
+    const route = (req.body && req.body.route) || original.route;
+    queueJob(route, reprintPayload(original.id), res, {
+      ...requestMeta(req),
+      reference: original.reference,
+      reprintOf: original.id,
     });
+  });
 
-    // Load the HTML
-    printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+  // Live job, printer and settings events as Server-Sent Events, e.g. /events?types=job,printer
+  server.get("/events", eventStream.handler);
 
-  } catch (err) {
-    console.error('❌ Print error:', err);
-    if (printWindow && !printWindow.isDestroyed()) printWindow.close();
-    return res.status(500).json({ 
-      success: false, 
-      error: err.message 
+  // The agent's settings, with API key values left out
+  server.get("/config", (req, res) => {
+    res.json({ success: true, config: redactConfig(exportConfig(store)) });
+  });
+
+  // Change settings remotely; keys left out keep their values, e.g.
+  // { "routes": { ..., "kot": { "printer": "XP-80C Spare" } } }
+  // Off the till this needs bindAddress set or a tunnel (see config.js).
+  server.put("/config", async (req, res) => {
+    const config = restoreApiKeys(req.body, store.get("apiKeys"));
+
+    let result;
+    try {
+      result = await applySettings(config);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    logger.info("⚙️ Settings changed over the API", {
+      settings: result.imported.join(", "),
+      client: req.client,
     });
-  }
-});
+    res.json({
+      success: true,
+      updated: result.imported,
+      restartRequired: result.restartRequired,
+      config: redactConfig(exportConfig(store)),
+    });
+  });
 
-// NEW KOT PRINT ENDPOINT
-server.post("/print-kot", async (req, res) => {
-  const { html } = req.body;
-  if (!html) return res.status(400).json({ success: false, error: "Missing html in request body" });
+  // Logos, fonts and stylesheets for print pages, used there as asset://<name>.
+  // The body is the file itself, sent with its Content-Type.
+  server.put("/assets/:name", express.raw({ type: () => true, limit: MAX_ASSET_BYTES }), (req, res) => {
+    try {
+      const asset = assetStore.put(req.params.name, req.body, req.get("content-type"));
+      logger.info(`🖼️ Asset ${asset.name} saved (${asset.size} bytes)`, { client: req.client });
+      res.json({ success: true, asset: { ...asset, url: `asset://${asset.name}` } });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
 
-  const storedKotPrinterName = store.get("kotPrinterName");
-  if (!storedKotPrinterName) return res.status(500).json({ success: false, error: "No KOT printer configured." });
+  server.get("/assets", (req, res) => {
+    res.json({ success: true, assets: assetStore.list() });
+  });
 
-  let printWindow;
-  
-  try {
-    // Resolve the target printer
-    const tmpWindow = new BrowserWindow({ show: false });
-    const printers = await tmpWindow.webContents.getPrintersAsync();
-    tmpWindow.close();
-    
-    let targetPrinter = printers.find(p => p.name === storedKotPrinterName);
-    
-    // Fallback to default printer if configured printer not found
-    if (!targetPrinter) {
-      const defaultPrinters = printers.filter(p => p.isDefault);
-      if (defaultPrinters.length > 0) {
-        targetPrinter = defaultPrinters[0];
-        console.log(`⚠️ KOT Printer "${storedKotPrinterName}" not found, using default: ${targetPrinter.name}`);
-      } else {
-        return res.status(404).json({ 
-          success: false, 
-          error: `KOT Printer "${storedKotPrinterName}" not found and no default printer available.` 
-        });
-      }
+  server.get("/assets/:name", (req, res) => {
+    try {
+      const asset = assetStore.get(req.params.name);
+      if (!asset) return res.status(404).json({ success: false, error: `Asset "${req.params.name}" not found` });
+      res.type(asset.contentType).send(asset.data);
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
     }
+  });
 
-    // Create print window
-    printWindow = new BrowserWindow({
-      show: false,
-      width: 800,
-      height: 600,
-      webPreferences: {
-        sandbox: false,
-        contextIsolation: false,
-        nodeIntegration: false,
-        webSecurity: false,
-        offscreen: false
+  server.delete("/assets/:name", (req, res) => {
+    try {
+      if (!assetStore.remove(req.params.name)) {
+        return res.status(404).json({ success: false, error: `Asset "${req.params.name}" not found` });
       }
-    });
+      logger.info(`🗑️ Asset ${req.params.name} deleted`, { client: req.client });
+      res.json({ success: true });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
 
-    printWindow.webContents.setZoomFactor(1.0);
-    printWindow.webContents.setVisualZoomLevelLimits(1, 1);
+  // Search the agent's logs, e.g. /logs?level=warn&jobId=... or ?search=kitchen
+  server.get("/logs", (req, res) => {
+    const { level, jobId, route, printer, search, since, until } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 200;
 
-    printWindow.webContents.on('did-finish-load', async () => {
-      try {
-        console.log('📄 KOT Page loaded, waiting for resources...');
-        
-        // Wait for all resources
-        await printWindow.webContents.executeJavaScript(`
-          (async () => {
-            const imgs = Array.from(document.images);
-            await Promise.all(imgs.map(img => img.complete ? Promise.resolve()
-              : new Promise(r => { img.onload = img.onerror = r; })));
-            
-            if (document.fonts && document.fonts.ready) { 
-              await document.fonts.ready; 
-            }
-            
-            await new Promise(r => setTimeout(r, 300));
-          })();
-        `, true);
-
-        console.log('✅ All KOT resources loaded');
-        console.log(`🖨️ Printing KOT to ${targetPrinter.name}...`);
-
-        printWindow.webContents.print({
-          silent: true,
-          deviceName: targetPrinter.name,
-          printBackground: true,
-          color: false,
-          landscape: false,
-          pagesPerSheet: 1,
-          collate: false,
-          copies: 1
-        }, (success, failureReason) => {
-          console.log('🖨️ KOT Print callback triggered');
-          
-          if (!printWindow.isDestroyed()) {
-            printWindow.close();
-          }
-          
-          if (success) {
-            console.log('✅ KOT Print successful');
-            return res.json({ 
-              success: true, 
-              message: "KOT sent to printer successfully",
-              printer: targetPrinter.name
-            });
-          } else {
-            console.error('❌ KOT Print failed:', failureReason);
-            return res.status(500).json({ 
-              success: false, 
-              error: failureReason || "KOT Print failed" 
-            });
-          }
-        });
-        
-      } catch (resourceError) {
-        console.error('❌ KOT Resource loading error:', resourceError);
-        if (!printWindow.isDestroyed()) printWindow.close();
-        return res.status(500).json({ 
-          success: false, 
-          error: `KOT Resource loading failed: ${resourceError.message}` 
-        });
+    try {
+      const entries = logger.queryLogs({ level, jobId, route, printer, search, since, until, limit });
+      res.json({ success: true, entries });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Start server
+  listen(store.get("port"), store.get("bindAddress"))
+    .then((listener) => {
+      httpServer = listener;
+      logger.info(`✅ Print Agent v1.0.0 running on ${serverUrl(listener)}`, { platform: os.platform() });
+      warnIfExposed();
+      for (const [name, route] of Object.entries(getRoutes(store))) {
+        logger.info(`   Route ${name}: ${route.printer}`, { route: name, printer: route.printer });
       }
+      if (store.get("apiKeys").length === 0) {
+        logger.warn("⚠️ No API keys configured: any local program can print. Add keys in Settings.");
+      }
+    })
+    .catch((error) => {
+      // A service manager restarts headless agents; otherwise stay in the
+      // tray so another port can be picked in Settings
+      serverError = error;
+      logger.error(`❌ ${error.message}; the print server is not running`);
+      if (cliOptions.headless) app.exit(1);
+      updateTrayMenu();
     });
+}
 
-    printWindow.webContents.on('did-fail-load', (event, errorCode, errorDescription) => {
-      console.error('❌ KOT Page load failed:', errorCode, errorDescription);
-      if (!printWindow.isDestroyed()) printWindow.close();
-      return res.status(500).json({ 
-        success: false, 
-        error: `Failed to load KOT content: ${errorDescription}` 
-      });
-    });
+// Give up on a page that never finishes loading so it can't block the queue
+const RENDER_TIMEOUT_MS = 30000;
 
-    // Load the HTML
-    printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+// How long /orders/print with wait: true waits for its tickets
+const ORDER_WAIT_MS = 30000;
 
-  } catch (err) {
-    console.error('❌ KOT Print error:', err);
-    if (printWindow && !printWindow.isDestroyed()) printWindow.close();
-    return res.status(500).json({ 
-      success: false, 
-      error: err.message 
-    });
+// Jobs printing at once across all printers; each printer still takes one at a time
+const PRINT_CONCURRENCY = 4;
+
+// Hidden windows kept warm for rendering; jobs beyond this wait for a free one
+const RENDER_POOL_SIZE = 2;
+
+// In-memory session shared by the render windows, locked down by render-sandbox.js
+const RENDER_PARTITION = "print-render";
+
+function queuePrintRequest(routeName, req, res) {
+  let payload;
+  try {
+    payload = parsePrintRequest(req);
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
   }
-});
 
-// NEW BOT PRINT ENDPOINT
-server.post("/print-bot", async (req, res) => {
-  const { html } = req.body;
-  if (!html) return res.status(400).json({ success: false, error: "Missing html in request body" });
+  queueJob(routeName, payload, res, requestMeta(req));
+}
 
-  const storedBotPrinterName = store.get("botPrinterName");
-  if (!storedBotPrinterName) return res.status(500).json({ success: false, error: "No BOT printer configured." });
+// Who asked for a job and which order it belongs to, kept with the job for the history
+function requestMeta(req) {
+  const options = printOptions(req);
+  const data = options.data && typeof options.data === "object" ? options.data : {};
+  const reference = options.reference !== undefined ? options.reference : data.reference;
+
+  const meta = { origin: req.get("origin") || null, client: req.client || null };
+  if (reference !== undefined && reference !== null && reference !== "") meta.reference = String(reference);
+  return meta;
+}
+
+// Options of a /print style request; raw file uploads carry them in the query string
+function printOptions(req) {
+  return Buffer.isBuffer(req.body) ? req.query : { ...req.query, ...req.body };
+}
+
+// Turn a /print style body (JSON or raw file upload) into a job payload
+function parsePrintRequest(req) {
+  const isUpload = Buffer.isBuffer(req.body);
+  const options = printOptions(req);
+
+  const content = isUpload ? parseUpload(req.body, req.get("content-type")) : parseJsonContent(req.body);
+  if (!content) throw httpError(400, "Missing html, template, pdf or image in request body");
+
+  const openDrawer = isUpload ? ["1", "true"].includes(options.openDrawer) : options.openDrawer;
+  const ready = options.ready !== undefined ? { ready: parseReady(options.ready, store.get("rendering")) } : {};
+  return {
+    ...content,
+    paperWidth: parsePaperWidth(options.paperWidth),
+    openDrawer,
+    ...ready,
+    ...jobPrintSettings(options),
+  };
+}
+
+// A job's own profile and setting overrides, e.g. { copies: 2 }, kept as payload.profile / payload.print
+function jobPrintSettings(options) {
+  const result = {};
+  if (options.profile) {
+    if (!Object.prototype.hasOwnProperty.call(store.get("profiles"), options.profile)) {
+      throw httpError(400, `Profile "${options.profile}" not found`);
+    }
+    result.profile = options.profile;
+  }
+
+  const print = parsePrintSettings(options);
+  if (Object.keys(print).length > 0) result.print = print;
+  return result;
+}
+
+function parseJsonContent(body) {
+  // { template, data } is filled in now, so the job holds exactly what was printed
+  if (body.template) return { html: fillTemplate(body.template, body.data) };
+  if (body.html) return { html: body.html };
+  return parseEncodedFile(body);
+}
+
+// Templates dropped in the user folder win over the ones bundled with the agent
+function templateSources() {
+  return {
+    store,
+    dirs: [path.join(app.getPath("userData"), "templates"), path.join(__dirname, "templates")],
+  };
+}
+
+function fillTemplate(name, data) {
+  const source = loadTemplate(templateSources(), name);
+  if (source === null) throw httpError(404, `Template "${name}" not found`);
+
+  if (data !== undefined && (typeof data !== "object" || data === null || Array.isArray(data))) {
+    throw httpError(400, "Template data must be an object");
+  }
 
-  let printWindow;
-  
   try {
-    // Resolve the target printer
-    const tmpWindow = new BrowserWindow({ show: false });
-    const printers = await tmpWindow.webContents.getPrintersAsync();
-    tmpWindow.close();
-    
-    let targetPrinter = printers.find(p => p.name === storedBotPrinterName);
-    
-    // Fallback to default printer if configured printer not found
-    if (!targetPrinter) {
-      const defaultPrinters = printers.filter(p => p.isDefault);
-      if (defaultPrinters.length > 0) {
-        targetPrinter = defaultPrinters[0];
-        console.log(`⚠️ BOT Printer "${storedBotPrinterName}" not found, using default: ${targetPrinter.name}`);
-      } else {
-        return res.status(404).json({ 
-          success: false, 
-          error: `BOT Printer "${storedBotPrinterName}" not found and no default printer available.` 
-        });
-      }
+    return renderTemplate(source, data || {});
+  } catch (error) {
+    throw httpError(400, `Template "${name}" failed to render: ${error.message}`);
+  }
+}
+
+// Date-only values cover the whole day, so ?from=2025-01-31&to=2025-01-31 finds that day's jobs
+function historyDate(value, name) {
+  if (!value) return undefined;
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T${name === "to" ? "23:59:59.999" : "00:00:00"}` : value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name} date "${value}"`);
+  return date.toISOString();
+}
+
+// A copy of a finished job's payload; a reprint never opens the cash drawer again
+function reprintPayload(jobId) {
+  const { openDrawer, ...payload } = printQueue.getPayload(jobId);
+  return payload;
+}
+
+// openDrawer is true or an object with pin/onMs/offMs
+function validateOpenDrawer(openDrawer) {
+  try {
+    if (openDrawer !== true && typeof openDrawer !== "object") {
+      throw new Error("expected true or { pin, onMs, offMs }");
     }
+    encodeDrawerKick(openDrawer === true ? {} : openDrawer);
+  } catch (error) {
+    throw httpError(400, `Invalid openDrawer: ${error.message}`);
+  }
+}
 
-    // Create print window
-    printWindow = new BrowserWindow({
-      show: false,
-      width: 800,
-      height: 600,
-      webPreferences: {
-        sandbox: false,
-        contextIsolation: false,
-        nodeIntegration: false,
-        webSecurity: false,
-        offscreen: false
-      }
-    });
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
 
-    printWindow.webContents.setZoomFactor(1.0);
-    printWindow.webContents.setVisualZoomLevelLimits(1, 1);
+function queueJob(routeName, payload, res, meta = {}) {
+  if (!getRoute(store, routeName)) {
+    return res.status(404).json({ success: false, error: `Print route "${routeName}" not found.` });
+  }
 
-    printWindow.webContents.on('did-finish-load', async () => {
-      try {
-        console.log('📄 BOT Page loaded, waiting for resources...');
-        
-        // Wait for all resources
-        await printWindow.webContents.executeJavaScript(`
-          (async () => {
-            const imgs = Array.from(document.images);
-            await Promise.all(imgs.map(img => img.complete ? Promise.resolve()
-              : new Promise(r => { img.onload = img.onerror = r; })));
-            
-            if (document.fonts && document.fonts.ready) { 
-              await document.fonts.ready; 
-            }
-            
-            await new Promise(r => setTimeout(r, 300));
-          })();
-        `, true);
-
-        console.log('✅ All BOT resources loaded');
-        console.log(`🖨️ Printing BOT to ${targetPrinter.name}...`);
-
-        printWindow.webContents.print({
-          silent: true,
-          deviceName: targetPrinter.name,
-          printBackground: true,
-          color: false,
-          landscape: false,
-          pagesPerSheet: 1,
-          collate: false,
-          copies: 1
-        }, (success, failureReason) => {
-          console.log('🖨️ BOT Print callback triggered');
-          
-          if (!printWindow.isDestroyed()) {
-            printWindow.close();
-          }
-          
-          if (success) {
-            console.log('✅ BOT Print successful');
-            return res.json({ 
-              success: true, 
-              message: "BOT sent to printer successfully",
-              printer: targetPrinter.name
-            });
-          } else {
-            console.error('❌ BOT Print failed:', failureReason);
-            return res.status(500).json({ 
-              success: false, 
-              error: failureReason || "BOT Print failed" 
-            });
-          }
-        });
-        
-      } catch (resourceError) {
-        console.error('❌ BOT Resource loading error:', resourceError);
-        if (!printWindow.isDestroyed()) printWindow.close();
-        return res.status(500).json({ 
-          success: false, 
-          error: `BOT Resource loading failed: ${resourceError.message}` 
-        });
-      }
+  if (payload.openDrawer) {
+    try {
+      validateOpenDrawer(payload.openDrawer);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  } else {
+    delete payload.openDrawer;
+  }
+
+  if (payload.paperWidth === undefined) delete payload.paperWidth;
+
+  try {
+    const job = printQueue.enqueue({ route: routeName, payload, meta });
+    res.status(202).json({
+      success: true,
+      message: `Job queued for printing on route "${routeName}"`,
+      jobId: job.id,
+      status: job.status,
     });
+  } catch (error) {
+    logger.error(`❌ Failed to queue ${routeName} job`, { route: routeName, error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
 
-    printWindow.webContents.on('did-fail-load', (event, errorCode, errorDescription) => {
-      console.error('❌ BOT Page load failed:', errorCode, errorDescription);
-      if (!printWindow.isDestroyed()) printWindow.close();
-      return res.status(500).json({ 
-        success: false, 
-        error: `Failed to load BOT content: ${errorDescription}` 
-      });
+// Runs a queued job: resolve the printer, render the HTML, print it
+async function processPrintJob(job, payload, { setStatus }) {
+  const route = getRoute(store, job.route);
+  if (!route) throw nonRetryableError(`Print route "${job.route}" no longer exists.`);
+
+  const { printer, fallbackUsed } = await resolveRoutePrinter(route, job.route);
+  if (fallbackUsed) {
+    logger.warn(`⚠️ ${job.route} printer "${route.printer}" is not installed, using backup "${printer}"`, {
+      jobId: job.id,
+      route: job.route,
+      printer,
     });
+  }
 
-    // Load the HTML
-    printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+  let result;
+  if (payload.label) {
+    result = await processLabelJob(job, route, printer, payload, { setStatus });
+  } else if (payload.document) {
+    result = await processRawJob(job, route, printer, payload, { setStatus });
+  } else if (isDirectDestination(printer)) {
+    result = await processRasterJob(job, route, printer, payload, { setStatus });
+  } else {
+    result = await processDriverJob(job, route, printer, payload, { setStatus });
+  }
 
-  } catch (err) {
-    console.error('❌ BOT Print error:', err);
-    if (printWindow && !printWindow.isDestroyed()) printWindow.close();
-    return res.status(500).json({ 
-      success: false, 
-      error: err.message 
+  return { ...result, fallbackUsed };
+}
+
+// Printers installed in the OS get the rendered page through their driver
+async function processDriverJob(job, route, printer, payload, { setStatus }) {
+  const logFields = { jobId: job.id, route: job.route, printer };
+  const settings = printSettingsFor(route, payload);
+  setStatus("rendering", { printer });
+
+  const printWindow = await renderPayload(payload, {
+    label: job.route,
+    paperWidth: settings.paperWidth,
+    ready: resolveReady(route, payload),
+    logFields,
+  });
+
+  try {
+    setStatus("printing");
+    logger.info(`🖨️ Printing ${settings.copies} ${job.route} cop${settings.copies === 1 ? "y" : "ies"} to ${printer}...`, logFields);
+    await sendToPrinter(printWindow, printer, settings);
+    logger.info(`✅ ${job.route} print successful`, logFields);
+  } finally {
+    renderPool.release(printWindow);
+  }
+
+  // The driver can't send the kick itself, so follow up with a raw job
+  let drawerError = null;
+  if (payload.openDrawer) {
+    try {
+      await sendRaw(printer, drawerKickFor(payload));
+      logger.info(`💰 Cash drawer opened on ${printer}`, logFields);
+    } catch (error) {
+      // The receipt is already out; retrying the job would print it twice
+      logger.error(`❌ Failed to open cash drawer on ${printer}`, { ...logFields, error });
+      drawerError = error.message;
+    }
+  }
+
+  return { printer, drawerError };
+}
+
+// Raw jobs skip the renderer and go straight to the printer as ESC/POS
+async function processRawJob(job, route, destination, payload, { setStatus }) {
+  const { copies } = printSettingsFor(route, payload);
+  const receipt = encodeReceipt(payload.document);
+  const data = Buffer.concat([...Array(copies).fill(receipt), drawerKickFor(payload)]);
+
+  const logFields = { jobId: job.id, route: job.route, printer: destination };
+  setStatus("printing", { printer: destination });
+  logger.info(`🖨️ Sending ${data.length} raw bytes for ${job.route} to ${destination}...`, logFields);
+  await sendRaw(destination, data);
+  logger.info(`✅ ${job.route} raw print successful`, logFields);
+
+  return { printer: destination };
+}
+
+// Labels go out as ZPL or TSPL in the route's language, like raw jobs
+async function processLabelJob(job, route, destination, payload, { setStatus }) {
+  if (!route.label) throw nonRetryableError(`Route "${job.route}" is no longer a label printer.`);
+
+  let data;
+  try {
+    data = encodeLabel(payload.label, route.label);
+  } catch (error) {
+    // The route's label settings changed since the job was queued
+    throw nonRetryableError(`Invalid label: ${error.message}`);
+  }
+
+  const logFields = { jobId: job.id, route: job.route, printer: destination };
+  setStatus("printing", { printer: destination });
+  logger.info(`🏷️ Sending ${route.label.language.toUpperCase()} label for ${job.route} to ${destination}...`, logFields);
+  await sendRaw(destination, data, { statusQuery: false });
+  logger.info(`✅ ${job.route} label print successful`, logFields);
+
+  return { printer: destination };
+}
+
+// Printable width in dots of 203 dpi thermal heads, by paper width in mm
+const RASTER_DOTS = { 58: 384, 80: 576 };
+
+// Network and device printers have no driver, so HTML is rendered to a
+// bitmap and sent as an ESC/POS raster image
+async function processRasterJob(job, route, destination, payload, { setStatus }) {
+  const { paperWidth, copies } = printSettingsFor(route, payload);
+  const cssWidth = mmToCssPixels(paperWidth);
+  const logFields = { jobId: job.id, route: job.route, printer: destination };
+
+  const printWindow = await renderPayload(payload, {
+    label: job.route,
+    width: cssWidth,
+    paperWidth,
+    ready: resolveReady(route, payload),
+    logFields,
+  });
+
+  let data;
+  try {
+    const image = await capturePage(printWindow, cssWidth);
+    const bitmap = image.resize({ width: RASTER_DOTS[paperWidth] || RASTER_DOTS[80], quality: "best" });
+    const raster = encodeRaster({ data: bitmap.toBitmap(), ...bitmap.getSize() });
+    data = Buffer.concat([...Array(copies).fill(raster), drawerKickFor(payload)]);
+  } finally {
+    renderPool.release(printWindow);
+  }
+
+  setStatus("printing", { printer: destination });
+  logger.info(`🖨️ Sending ${job.route} raster image to ${destination}...`, logFields);
+  await sendRaw(destination, data);
+  logger.info(`✅ ${job.route} print successful`, logFields);
+
+  return { printer: destination };
+}
+
+const PREVIEW_FORMATS = ["pdf", "png"];
+
+// Render a payload exactly as the print path would, but return it as a
+// PDF or PNG at the route's paper width instead of printing
+async function renderPreview(payload, routeName, format) {
+  const route = getRoute(store, routeName);
+  const { paperWidth } = printSettingsFor(route, payload);
+  const cssWidth = mmToCssPixels(paperWidth);
+
+  const previewWindow = await renderPayload(payload, {
+    label: "preview",
+    width: cssWidth,
+    paperWidth,
+    ready: resolveReady(route, payload),
+    logFields: { route: routeName },
+  });
+
+  try {
+    if (format === "png") {
+      return (await capturePage(previewWindow, cssWidth)).toPNG();
+    }
+
+    // One continuous page, like a receipt roll; printToPDF sizes are in inches
+    const height = await previewWindow.webContents.executeJavaScript(
+      "Math.ceil(document.documentElement.scrollHeight)",
+      true
+    );
+    return await previewWindow.webContents.printToPDF({
+      printBackground: true,
+      margins: { top: 0, bottom: 0, left: 0, right: 0 },
+      pageSize: { width: paperWidth / 25.4, height: Math.max(height / 96, 1) },
     });
+  } finally {
+    renderPool.release(previewWindow);
   }
-});
+}
 
+// Paper size, margins, copies etc. from the route's profile and the job's overrides
+function printSettingsFor(route, payload) {
+  try {
+    return resolvePrintSettings(route, payload, store.get("profiles"));
+  } catch (error) {
+    // The profile was removed after the job was queued; retrying won't bring it back
+    throw nonRetryableError(error.message);
+  }
+}
 
+function mmToCssPixels(mm) {
+  return Math.round((mm / 25.4) * 96);
+}
 
+// Capture the whole rendered page, not just the visible window area
+async function capturePage(printWindow, width) {
+  const height = await printWindow.webContents.executeJavaScript(
+    "Math.ceil(document.documentElement.scrollHeight)",
+    true
+  );
+  printWindow.setContentSize(width, height);
+  return printWindow.webContents.capturePage({ x: 0, y: 0, width, height });
+}
 
-  // Start server
-  server.listen(PORT, "localhost", () => {
-    console.log("============================================================");
-    console.log(`✅ Print Agent v1.0.0 running on http://localhost:${PORT}`);
-    console.log(`   Health check: http://localhost:${PORT}/health`);
-    console.log(`   Print endpoint: http://localhost:${PORT}/print`);
-    console.log(`   Default Printer: ${defaultPrinter}`);
-    console.log(`   Platform: ${os.platform()}`);
-    console.log("============================================================");
+// Drawer kick bytes requested alongside a print job, if any
+function drawerKickFor(payload) {
+  if (!payload.openDrawer) return Buffer.alloc(0);
+  return encodeDrawerKick(payload.openDrawer === true ? {} : payload.openDrawer);
+}
+
+async function openCashDrawer(routeName, data) {
+  const { printer: destination } = await resolveRoutePrinter(getRoute(store, routeName), routeName);
+
+  await sendRaw(destination, data);
+  logger.info(`💰 Cash drawer opened on ${destination}`, { route: routeName, printer: destination });
+  return destination;
+}
+
+function nonRetryableError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+// Any window can list printers; one hidden window is kept around for it
+let printerListWindow = null;
+
+function listOsPrinters() {
+  if (!printerListWindow || printerListWindow.isDestroyed()) {
+    printerListWindow = new BrowserWindow({ show: false });
+  }
+  return printerListWindow.webContents.getPrintersAsync();
+}
+
+// Network and device printers the monitor last found offline or missing
+function unreachablePrinters() {
+  return Object.values(printerMonitor.getStatus().routes)
+    .filter((result) => result.state === "offline" || result.state === "missing")
+    .map((result) => result.printer);
+}
+
+// The route's printer, or its backup under the route's fallback policy
+async function resolveRoutePrinter(route, label) {
+  const resolve = (printers) => resolveDestination(route, printers, label, unreachablePrinters());
+  const candidates = [route.printer, route.fallback && route.fallback.printer].filter(Boolean);
+  if (candidates.every(isDirectDestination)) return resolve([]);
+
+  // The cached list may be seconds old; check a miss against a fresh one so a
+  // printer that was just reconnected or added isn't skipped or failed for good
+  try {
+    const result = resolve(await printerCache.get());
+    if (!result.fallbackUsed) return result;
+  } catch (error) {
+    // Decided on the fresh list below
+  }
+  return resolve(await printerCache.refresh());
+}
+
+// A hidden window for the render pool
+function createRenderWindow() {
+  const renderWindow = new BrowserWindow({
+    show: false,
+    width: 800,
+    useContentSize: true,
+    height: 600,
+    webPreferences: {
+      sandbox: true,
+      contextIsolation: true,
+      nodeIntegration: false,
+      webSecurity: true,
+      partition: RENDER_PARTITION,
+      offscreen: false, // CRITICAL: Must be false for proper DPI rendering
+      backgroundThrottling: false,
+    },
+  });
+
+  // Pages stay where the agent put them
+  renderWindow.webContents.setWindowOpenHandler(() => ({ action: "deny" }));
+  renderWindow.webContents.on("will-navigate", (event) => event.preventDefault());
+
+  // CRITICAL: Set zoom BEFORE loading content
+  renderWindow.webContents.setZoomFactor(1.0);
+  renderWindow.webContents.setVisualZoomLevelLimits(1, 1);
+  return renderWindow;
+}
+
+// Load a job's HTML, image or PDF into a window from the render pool and
+// resolve with the window once the page is ready (see readiness.js). The
+// caller hands it back with renderPool.release().
+// logFields tag the render's log entries with the job, route and printer.
+async function renderPayload(payload, { label, width, paperWidth = 80, ready = resolveReady(null, payload), logFields = {} }) {
+  // Images and PDFs are laid out at the paper width; HTML brings its own layout
+  if (!width) width = payload.html ? 800 : mmToCssPixels(paperWidth);
+
+  const pageScript = payload.pdf
+    ? `window.renderPdf(${JSON.stringify(payload.pdf)}, ${mmToCssPixels(paperWidth)})`
+    : readyScript(ready);
+
+  // Remote logos and fonts come from the asset store's copies, so an outage
+  // doesn't hold up the page or leave them off the receipt
+  let html = null;
+  if (!payload.pdf) {
+    const rendering = store.get("rendering");
+    // Queued before scripts were turned off; the page can't ever become ready
+    if (ready.printReady && !rendering.allowScripts) throw nonRetryableError(`${label} ${SCRIPTS_OFF_MESSAGE}`);
+    const page = sanitizeHtml(payload.image ? imageHtml(payload, paperWidth) : payload.html, rendering);
+    html = await assetStore.localizeHtml(page, (url) => requestAllowed(url, rendering, __dirname));
+  }
+
+  const printWindow = await renderPool.acquire();
+  const { webContents } = printWindow;
+  printWindow.setContentSize(width, 600);
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = () => {
+      settled = true;
+      clearTimeout(timeout);
+      webContents.off("did-finish-load", onLoad);
+      webContents.off("did-fail-load", onFail);
+    };
+    const fail = (error) => {
+      if (settled) return;
+      settle();
+      // The page may still be loading or running scripts; don't reuse the window
+      renderPool.release(printWindow, { discard: true });
+      reject(error);
+    };
+    const timeout = setTimeout(() => {
+      fail(new Error(`${label} render timed out after ${RENDER_TIMEOUT_MS / 1000}s`));
+    }, RENDER_TIMEOUT_MS);
+
+    async function onLoad() {
+      try {
+        logger.debug(`📄 ${label} page loaded, waiting for resources...`, logFields);
+        const result = await webContents.executeJavaScript(pageScript, true);
+        if (result && result.error) {
+          // A bad selector or a rejected printReady fails the same way every time
+          return fail(nonRetryableError(`${label} page failed while waiting for ${result.waitingFor}: ${result.error}`));
+        }
+        if (result && !result.ready) {
+          logger.warn(`⏱️ ${label} page not ready, still waiting for ${result.waitingFor}`, logFields);
+          // Waiting again would time out the same way, so fail now rather than after every retry
+          return fail(nonRetryableError(`${label} page not ready after ${ready.timeout / 1000}s: still waiting for ${result.waitingFor}`));
+        }
+        logger.debug(`✅ All ${label} resources loaded`, logFields);
+
+        if (settled) return;
+        settle();
+        resolve(printWindow);
+      } catch (resourceError) {
+        logger.error(`❌ ${label} resource loading error`, { ...logFields, error: resourceError });
+        fail(new Error(`${label} resource loading failed: ${resourceError.message}`));
+      }
+    }
+
+    function onFail(event, errorCode, errorDescription) {
+      logger.error(`❌ ${label} page load failed: ${errorCode} ${errorDescription}`, logFields);
+      fail(new Error(`Failed to load ${label} content: ${errorDescription}`));
+    }
+
+    webContents.on("did-finish-load", onLoad);
+    webContents.on("did-fail-load", onFail);
+
+    // Load failures are reported through did-fail-load
+    if (payload.pdf) {
+      printWindow.loadFile(path.join(__dirname, "pdf-viewer.html")).catch(() => {});
+    } else {
+      printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`).catch(() => {});
+    }
+  });
+}
+
+function sendToPrinter(printWindow, deviceName, settings) {
+  return new Promise((resolve, reject) => {
+    // Margins, page size, dpi and scale are left to the driver unless the
+    // profile or job sets them
+    printWindow.webContents.print(
+      {
+        silent: true,
+        deviceName,
+        printBackground: true,
+        pagesPerSheet: 1,
+        ...driverPrintOptions(settings),
+      },
+      (success, failureReason) => {
+        if (success) {
+          resolve();
+        } else {
+          logger.error(`❌ Print to ${deviceName} failed: ${failureReason}`, { printer: deviceName });
+          reject(new Error(failureReason || "Print failed"));
+        }
+      }
+    );
+  });
+}
+
+// Resolves once the job has finished, or has failed an attempt. With a
+// timeout, resolves with the job as it stands when time runs out.
+function waitForJob(jobId, timeoutMs) {
+  return new Promise((resolve) => {
+    let timer = null;
+    const finish = (job) => {
+      clearTimeout(timer);
+      printQueue.off("update", onUpdate);
+      resolve(job);
+    };
+    const onUpdate = (job) => {
+      if (job.id !== jobId) return;
+      if (job.status === "done" || job.status === "failed" || job.error) finish(job);
+    };
+    printQueue.on("update", onUpdate);
+    if (timeoutMs) timer = setTimeout(() => finish(printQueue.getJob(jobId)), timeoutMs);
   });
 }
 
 function testPrint() {
     const { dialog } = require("electron");
-    const storedPrinterName = store.get("printerName");
+    const storedPrinterName = getRoute(store, "bill").printer;
   
     const testHtml = `
       <div style="font-family: monospace; width: 80mm; padding: 5px; box-sizing: border-box;">
@@ -740,39 +1702,91 @@ function testPrint() {
       </div>
     `;
   
-    // Reuse the print logic
-    const printPayload = {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ html: testHtml }),
-    };
-  
-    fetch(`http://localhost:${store.get("port")}/print`, printPayload)
-      .then(res => res.json())
-      .then(data => {
-        if (data.success) {
-          dialog.showMessageBox({
-            type: "info",
-            title: "Test Print",
-            message: "Test print sent successfully!",
-          });
-        } else {
-          throw new Error(data.error);
-        }
-      })
-      .catch(err => {
-        console.error("Test print failed:", err);
-        dialog.showErrorBox("Test Print Failed", err.message || "Could not connect to the print server.");
-      });
+    // Reuse the print queue
+    let job;
+    try {
+      job = printQueue.enqueue({ route: "bill", payload: { html: testHtml } });
+    } catch (err) {
+      logger.error("Test print failed", { route: "bill", error: err });
+      dialog.showErrorBox("Test Print Failed", err.message);
+      return;
+    }
+
+    waitForJob(job.id).then((finished) => {
+      if (finished.status === "done") {
+        dialog.showMessageBox({
+          type: "info",
+          title: "Test Print",
+          message: "Test print sent successfully!",
+          detail: finished.fallbackUsed
+            ? `The bill printer is not installed, so it printed on the backup printer "${finished.printer}".`
+            : undefined,
+        });
+      } else {
+        const retrying = finished.status !== "failed";
+        dialog.showErrorBox(
+          "Test Print Failed",
+          `${finished.error}${retrying ? "\n\nThe agent will keep retrying this job." : ""}`
+        );
+      }
+    });
   
-    console.log("Test print triggered from tray menu");
+    logger.info("Test print triggered from tray menu", { jobId: job.id, route: "bill" });
+  }
+
+function reprintLastBill() {
+  const { dialog } = require("electron");
+
+  const [lastBill] = printQueue.listHistory({ route: "bill", status: "done", limit: 1 });
+  if (!lastBill) {
+    dialog.showMessageBox({ type: "info", title: "Reprint Last Bill", message: "No bill has been printed yet." });
+    return;
+  }
+
+  let job;
+  try {
+    job = printQueue.enqueue({
+      route: "bill",
+      payload: reprintPayload(lastBill.id),
+      meta: { reference: lastBill.reference, reprintOf: lastBill.id },
+    });
+  } catch (err) {
+    logger.error("Reprint of last bill failed", { route: "bill", error: err });
+    dialog.showErrorBox("Reprint Failed", err.message);
+    return;
   }
+  logger.info("Reprint of last bill triggered from tray menu", { jobId: job.id, route: "bill" });
+
+  waitForJob(job.id).then((finished) => {
+    if (finished.status !== "done") {
+      const retrying = finished.status !== "failed";
+      dialog.showErrorBox(
+        "Reprint Failed",
+        `${finished.error}${retrying ? "\n\nThe agent will keep retrying this job." : ""}`
+      );
+    }
+  });
+}
 
 function showLogs() {
-    const { shell } = require("electron");
-    // This is a basic implementation. For production, you'd use a real logging library
-    // and open the log file. For now, we can open the dev tools of a hidden window.
-    const logWindow = new BrowserWindow({ show: false });
-    logWindow.webContents.openDevTools();
-    console.log("Developer tools opened for log inspection. Close the new window to dismiss.");
+  if (logsWindow) {
+    logsWindow.focus();
+    return;
+  }
+
+  logsWindow = new BrowserWindow({
+    width: 960,
+    height: 640,
+    title: "Print Agent Logs",
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false,
+    },
+  });
+
+  logsWindow.loadFile("logs.html");
+
+  logsWindow.on("closed", () => {
+    logsWindow = null;
+  });
 }
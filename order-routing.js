@@ -0,0 +1,102 @@
+// order-routing.js - Split one order into tickets for each station
+//
+// Rules live in the store as orderRouting:
+//   categories: { food: "kot", drinks: "bot" }   item category -> route
+//   defaultRoute: "kot"        route for items whose category has no rule
+//                              (null rejects orders containing such items)
+//   billRoute: "bill"          route that gets the whole order as a bill (null: no bill)
+//   templates: { bot: "bar" }  template per route; the bill route defaults to
+//                              "bill" and station routes to "kot"
+// Categories are matched case-insensitively.
+const { TEMPLATE_NAME_PATTERN } = require("./templates");
+
+const DEFAULT_ORDER_ROUTING = {
+  categories: { food: "kot", drinks: "bot" },
+  defaultRoute: "kot",
+  billRoute: "bill",
+  templates: {},
+};
+
+function orderError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function templateFor(rules, route) {
+  const templates = rules.templates || {};
+  if (Object.prototype.hasOwnProperty.call(templates, route)) return templates[route];
+  return route === rules.billRoute ? "bill" : "kot";
+}
+
+// Returns [{ route, template, data }]: one ticket per station with its items,
+// then the bill with the whole order
+function splitOrder(order, rules) {
+  if (!order || typeof order !== "object" || Array.isArray(order)) throw orderError("order must be an object");
+  if (!Array.isArray(order.items) || order.items.length === 0) throw orderError("order.items must be a non-empty list");
+
+  // No prototype, so categories like "constructor" only match their own rule
+  const categories = Object.create(null);
+  for (const [category, route] of Object.entries(rules.categories || {})) {
+    categories[category.toLowerCase()] = route;
+  }
+
+  const stations = new Map();
+  order.items.forEach((item, index) => {
+    if (!item || typeof item !== "object") throw orderError(`order.items[${index}] must be an object`);
+
+    const category = String(item.category || "").toLowerCase();
+    const route = categories[category] || rules.defaultRoute;
+    if (!route) {
+      throw orderError(`order.items[${index}] ("${item.name}") has category "${item.category}", which no station takes`);
+    }
+
+    if (!stations.has(route)) stations.set(route, []);
+    stations.get(route).push(item);
+  });
+
+  const tickets = Array.from(stations, ([route, items]) => ({
+    route,
+    template: templateFor(rules, route),
+    data: { ...order, title: order.title || route.toUpperCase(), station: route, items },
+  }));
+
+  if (rules.billRoute) {
+    tickets.push({ route: rules.billRoute, template: templateFor(rules, rules.billRoute), data: order });
+  }
+
+  return tickets;
+}
+
+// Returns an error message, or null when the rules are valid for these routes
+function validateOrderRouting(rules, routes) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) return "Order routing must be an object";
+
+  const checkRoute = (route, what) => {
+    if (!Object.prototype.hasOwnProperty.call(routes, route)) return `${what} uses route "${route}", which doesn't exist`;
+    return null;
+  };
+
+  if (!rules.categories || typeof rules.categories !== "object" || Array.isArray(rules.categories)) {
+    return "Order routing categories must be an object of category -> route";
+  }
+  for (const [category, route] of Object.entries(rules.categories)) {
+    if (!category.trim()) return "Order routing has an empty category";
+    const error = checkRoute(route, `Category "${category}"`);
+    if (error) return error;
+  }
+
+  for (const key of ["defaultRoute", "billRoute"]) {
+    if (rules[key] === null || rules[key] === undefined) continue;
+    const error = checkRoute(rules[key], `Order routing ${key}`);
+    if (error) return error;
+  }
+
+  for (const [route, template] of Object.entries(rules.templates || {})) {
+    if (!TEMPLATE_NAME_PATTERN.test(template)) return `Invalid template name "${template}" for route "${route}"`;
+  }
+
+  return null;
+}
+
+module.exports = { DEFAULT_ORDER_ROUTING, splitOrder, validateOrderRouting };
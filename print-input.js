@@ -0,0 +1,109 @@
+// print-input.js - Accept PDF and image print jobs alongside HTML
+//
+// Files arrive either as raw uploads (Content-Type: application/pdf,
+// image/png or image/jpeg) or in JSON as base64 / data URLs:
+//   { pdf: "JVBERi0x..." }
+//   { image: "data:image/png;base64,iVBOR..." }
+// and become job payloads of the form { pdf } or { image, contentType },
+// with the file itself kept as base64.
+
+const UPLOAD_TYPES = ["application/pdf", "image/png", "image/jpeg"];
+const PAPER_WIDTHS = [58, 80];
+
+// Check the file really is what it claims to be before queueing it
+const SIGNATURES = {
+  "application/pdf": [0x25, 0x50, 0x44, 0x46], // %PDF
+  "image/png": [0x89, 0x50, 0x4e, 0x47],
+  "image/jpeg": [0xff, 0xd8, 0xff],
+};
+
+function sniffType(buffer) {
+  return Object.keys(SIGNATURES).find((type) =>
+    SIGNATURES[type].every((byte, index) => buffer[index] === byte)
+  );
+}
+
+function inputError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function toPayload(buffer, declaredType) {
+  const type = sniffType(buffer);
+  if (!type) throw inputError("File is not a PDF, PNG or JPEG");
+  if (declaredType && declaredType !== type) {
+    throw inputError(`File content is ${type} but was sent as ${declaredType}`);
+  }
+
+  const base64 = buffer.toString("base64");
+  return type === "application/pdf" ? { pdf: base64 } : { image: base64, contentType: type };
+}
+
+function parseUpload(buffer, contentType) {
+  const declaredType = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (buffer.length === 0) throw inputError("Uploaded file is empty");
+  return toPayload(buffer, declaredType);
+}
+
+function decodeBase64(value, field) {
+  if (typeof value !== "string" || !value) throw inputError(`${field} must be a base64 string`);
+
+  const dataUrl = value.match(/^data:([\w/+.-]+);base64,(.*)$/s);
+  const buffer = Buffer.from(dataUrl ? dataUrl[2] : value, "base64");
+  if (buffer.length === 0) throw inputError(`${field} is not valid base64`);
+
+  return { buffer, declaredType: dataUrl ? dataUrl[1].toLowerCase() : null };
+}
+
+// Returns a payload for { pdf } / { image } bodies, or null for anything else
+function parseEncodedFile(body) {
+  if (body.pdf) {
+    const { buffer } = decodeBase64(body.pdf, "pdf");
+    return toPayload(buffer, "application/pdf");
+  }
+
+  if (body.image) {
+    const { buffer, declaredType } = decodeBase64(body.image, "image");
+    const payload = toPayload(buffer, declaredType || body.contentType);
+    if (payload.pdf) throw inputError("image must be a PNG or JPEG; send PDFs as pdf");
+    return payload;
+  }
+
+  return null;
+}
+
+function parsePaperWidth(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+
+  const paperWidth = Number(value);
+  if (!PAPER_WIDTHS.includes(paperWidth)) {
+    throw inputError(`paperWidth must be one of: ${PAPER_WIDTHS.join(", ")}`);
+  }
+  return paperWidth;
+}
+
+// Page that prints an image scaled to the full paper width
+function imageHtml({ image, contentType }, paperWidth) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    @page { margin: 0; }
+    body { margin: 0; width: ${paperWidth}mm; }
+    img { display: block; width: 100%; }
+  </style>
+</head>
+<body><img src="data:${contentType};base64,${image}"></body>
+</html>`;
+}
+
+module.exports = {
+  UPLOAD_TYPES,
+  PAPER_WIDTHS,
+  parseUpload,
+  parseEncodedFile,
+  parsePaperWidth,
+  imageHtml,
+};
@@ -0,0 +1,171 @@
+// print-profiles.js - Paper, margins, scale, copies and colour per printer
+//
+// Profiles live in the store as profiles: { name: { ...settings } } and a
+// route uses one with route.profile. A job can name another profile and
+// override any setting, e.g. { html, copies: 2 }. Settings:
+//   paperSize   "58mm", "80mm" or "A4"
+//   margins     mm on every side, or { top, right, bottom, left } in mm;
+//               left unset, the driver decides
+//   scale       percent, 10-200
+//   dpi         print resolution, e.g. 203 (honoured by Windows drivers)
+//   copies      1-10
+//   color       true to print in colour
+//   landscape   true to print landscape
+// Later layers win: defaults, the route's paperWidth, the profile, the job.
+const PAPER_SIZES = { "58mm": 58, "80mm": 80, A4: 210 };
+const MAX_COPIES = 10;
+const MARGIN_SIDES = ["top", "right", "bottom", "left"];
+
+const PROFILE_DEFAULTS = {
+  paperSize: "80mm",
+  margins: null,
+  scale: 100,
+  dpi: null,
+  copies: 1,
+  color: false,
+  landscape: false,
+};
+
+const SETTING_NAMES = Object.keys(PROFILE_DEFAULTS);
+
+function settingsError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Query strings carry everything as text, so accept "2" and "true" too
+function toNumber(value, name, min, max) {
+  const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof number !== "number" || !Number.isFinite(number) || number < min || number > max) {
+    throw settingsError(`${name} must be a number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function toBoolean(value, name) {
+  if (typeof value === "boolean") return value;
+  if (value === "true" || value === "1") return true;
+  if (value === "false" || value === "0") return false;
+  throw settingsError(`${name} must be true or false`);
+}
+
+function parseMargins(value) {
+  if (value === null) return null;
+  if (typeof value !== "object") {
+    const all = toNumber(value, "margins", 0, 50);
+    return { top: all, right: all, bottom: all, left: all };
+  }
+
+  const margins = {};
+  for (const side of MARGIN_SIDES) {
+    margins[side] = value[side] === undefined ? 0 : toNumber(value[side], `margins.${side}`, 0, 50);
+  }
+  return margins;
+}
+
+const PARSERS = {
+  paperSize: (value) => {
+    if (!Object.prototype.hasOwnProperty.call(PAPER_SIZES, value)) {
+      throw settingsError(`paperSize must be one of: ${Object.keys(PAPER_SIZES).join(", ")}`);
+    }
+    return value;
+  },
+  margins: parseMargins,
+  scale: (value) => toNumber(value, "scale", 10, 200),
+  dpi: (value) => (value === null ? null : toNumber(value, "dpi", 72, 1200)),
+  copies: (value) => {
+    const copies = toNumber(value, "copies", 1, MAX_COPIES);
+    if (!Number.isInteger(copies)) throw settingsError("copies must be a whole number");
+    return copies;
+  },
+  color: (value) => toBoolean(value, "color"),
+  landscape: (value) => toBoolean(value, "landscape"),
+};
+
+// Pick and check the settings present in `input`; throws errors with status 400
+function parsePrintSettings(input) {
+  const settings = {};
+  for (const name of SETTING_NAMES) {
+    if (input[name] === undefined || input[name] === "") continue;
+    settings[name] = PARSERS[name](input[name]);
+  }
+  return settings;
+}
+
+// Returns an error message, or null when the profiles and the routes using them are valid
+function validateProfiles(profiles, routes) {
+  if (!profiles || typeof profiles !== "object" || Array.isArray(profiles)) {
+    return "Profiles must be an object keyed by profile name";
+  }
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!profile || typeof profile !== "object" || Array.isArray(profile)) return `Profile "${name}" must be an object`;
+
+    const unknown = Object.keys(profile).find((key) => !SETTING_NAMES.includes(key));
+    if (unknown) return `Profile "${name}" has unknown setting "${unknown}". Expected: ${SETTING_NAMES.join(", ")}`;
+
+    try {
+      parsePrintSettings(profile);
+    } catch (error) {
+      return `Profile "${name}": ${error.message}`;
+    }
+  }
+
+  for (const [name, route] of Object.entries(routes || {})) {
+    if (route.profile && !Object.prototype.hasOwnProperty.call(profiles, route.profile)) {
+      return `Route "${name}" uses profile "${route.profile}", which doesn't exist`;
+    }
+  }
+
+  return null;
+}
+
+// The settings a job prints with, plus paperWidth: the paper width in mm
+function resolvePrintSettings(route, payload, profiles) {
+  const profileName = payload.profile || route.profile;
+  const profile = profileName ? profiles[profileName] : null;
+  if (profileName && !profile) throw settingsError(`Profile "${profileName}" not found`);
+
+  const settings = {
+    ...PROFILE_DEFAULTS,
+    ...(route.paperWidth ? { paperSize: `${route.paperWidth}mm` } : {}),
+    ...(profile ? parsePrintSettings(profile) : {}),
+    ...(payload.paperWidth ? { paperSize: `${payload.paperWidth}mm` } : {}),
+    ...(payload.print || {}),
+  };
+
+  return { ...settings, paperWidth: PAPER_SIZES[settings.paperSize] };
+}
+
+function mmToPixels(mm) {
+  return Math.round((mm / 25.4) * 96);
+}
+
+// Options for webContents.print(). Receipt rolls keep the driver's page size,
+// since their length isn't known up front; A4 is asked for by name.
+function driverPrintOptions(settings) {
+  const options = {
+    copies: settings.copies,
+    collate: settings.copies > 1,
+    color: settings.color,
+    landscape: settings.landscape,
+  };
+
+  if (settings.paperSize === "A4") options.pageSize = "A4";
+  if (settings.scale !== 100) options.scaleFactor = settings.scale;
+  if (settings.dpi) options.dpi = { horizontal: settings.dpi, vertical: settings.dpi };
+  if (settings.margins) {
+    options.margins = { marginType: "custom" };
+    for (const side of MARGIN_SIDES) options.margins[side] = mmToPixels(settings.margins[side]);
+  }
+
+  return options;
+}
+
+module.exports = {
+  parsePrintSettings,
+  validateProfiles,
+  resolvePrintSettings,
+  driverPrintOptions,
+};
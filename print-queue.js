@@ -0,0 +1,336 @@
+// print-queue.js - Persistent print job queue with retries and backoff
+//
+// Each job is spooled to disk as two files: `<id>.json` holds the job record
+// (status, attempts, timestamps) and is rewritten on every status change,
+// while `<id>.payload.json` holds the print payload and is written once.
+// Keeping them apart means large payloads are not rewritten on every update.
+//
+// A job whose processJob throws an error flagged `hold` waits holdDelayMs and
+// tries again without using up an attempt, for as long as it takes.
+//
+// Up to `concurrency` jobs run at once, but at most maxPerKey of them share a
+// concurrencyKey (the printer), so each printer gets its jobs one by one and
+// in order while a slow printer doesn't hold up the others.
+//
+// Finished jobs stay on disk (up to keepFinished of them) with their payloads,
+// which doubles as the print history used for reprints.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const logger = require("./logger");
+
+const JOB_STATUSES = ["queued", "rendering", "printing", "done", "failed"];
+const FINISHED_STATUSES = ["done", "failed"];
+
+function createPrintQueue({
+  dir,
+  processJob,
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  maxDelayMs = 60000,
+  keepFinished = 200,
+  holdDelayMs = 15000,
+  concurrency = 1,
+  maxPerKey = 1,
+  concurrencyKey = (job) => job.route,
+}) {
+  const jobs = new Map();
+  const events = new EventEmitter();
+  const active = new Map(); // job id -> concurrency key
+  let timer = null;
+  let started = false;
+  let scheduled = false;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function jobFile(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  function payloadFile(id) {
+    return path.join(dir, `${id}.payload.json`);
+  }
+
+  function writeJson(file, data) {
+    // Write to a temp file first so a crash never leaves a half-written job
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data));
+    fs.renameSync(tmpFile, file);
+  }
+
+  function saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    writeJson(jobFile(job.id), job);
+    events.emit("update", toPublicJob(job));
+  }
+
+  function removeJob(id) {
+    jobs.delete(id);
+    for (const file of [jobFile(id), payloadFile(id)]) {
+      try {
+        fs.unlinkSync(file);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+  }
+
+  function toPublicJob(job) {
+    return { ...job };
+  }
+
+  // Restore jobs spooled by a previous run of the agent
+  function load() {
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith(".json") || file.endsWith(".payload.json")) continue;
+
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        if (!job.id || !JOB_STATUSES.includes(job.status)) continue;
+
+        // A job that was mid-print when the agent stopped goes back in line
+        if (job.status === "rendering" || job.status === "printing") {
+          job.status = "queued";
+          job.nextAttemptAt = null;
+          saveJob(job);
+        }
+
+        jobs.set(job.id, job);
+      } catch (error) {
+        logger.error(`❌ Skipping unreadable job file ${file}`, { error });
+      }
+    }
+
+    logger.info(`📥 Restored ${jobs.size} print job(s) from ${dir}`);
+  }
+
+  function enqueue({ route, payload, meta = {} }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      route,
+      status: "queued",
+      attempts: 0,
+      maxAttempts,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: null,
+      printer: null,
+      error: null,
+      ...meta,
+    };
+
+    writeJson(payloadFile(job.id), payload);
+    jobs.set(job.id, job);
+    saveJob(job);
+
+    logger.info(`📥 Job queued for ${route}`, { jobId: job.id, route });
+    schedule();
+
+    return toPublicJob(job);
+  }
+
+  function getJob(id) {
+    const job = jobs.get(id);
+    return job ? toPublicJob(job) : null;
+  }
+
+  function getPayload(id) {
+    if (!jobs.has(id)) return null;
+    return JSON.parse(fs.readFileSync(payloadFile(id), "utf8"));
+  }
+
+  function listJobs({ status, limit } = {}) {
+    let list = Array.from(jobs.values());
+    if (status) list = list.filter((job) => job.status === status);
+
+    list.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    if (limit) list = list.slice(0, limit);
+
+    return list.map(toPublicJob);
+  }
+
+  // Finished jobs, newest first. from/to are ISO timestamps compared with finishedAt.
+  function listHistory({ status, route, reference, from, to, limit } = {}) {
+    let list = Array.from(jobs.values()).filter((job) =>
+      FINISHED_STATUSES.includes(job.status) &&
+      (!status || job.status === status) &&
+      (!route || job.route === route) &&
+      (!reference || job.reference === reference) &&
+      (!from || finishedAt(job) >= from) &&
+      (!to || finishedAt(job) <= to)
+    );
+
+    list.sort((a, b) => finishedAt(b).localeCompare(finishedAt(a)));
+    if (limit) list = list.slice(0, limit);
+
+    return list.map(toPublicJob);
+  }
+
+  // Jobs spooled before finishedAt was recorded fall back to their last update
+  function finishedAt(job) {
+    return job.finishedAt || job.updatedAt;
+  }
+
+  function retryDelay(attempts) {
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  function activeCount(key) {
+    let count = 0;
+    for (const activeKey of active.values()) if (activeKey === key) count++;
+    return count;
+  }
+
+  // The oldest due job whose printer has room for it, with its concurrency key
+  function nextDueJob() {
+    const now = Date.now();
+    let next = null;
+
+    for (const job of jobs.values()) {
+      if (job.status !== "queued") continue;
+      if (job.nextAttemptAt && Date.parse(job.nextAttemptAt) > now) continue;
+      if (next && job.createdAt >= next.job.createdAt) continue;
+
+      const key = concurrencyKey(job);
+      if (activeCount(key) < maxPerKey) next = { job, key };
+    }
+
+    return next;
+  }
+
+  function schedule() {
+    if (!started || scheduled) return;
+    scheduled = true;
+    setImmediate(() => {
+      scheduled = false;
+      fill();
+    });
+  }
+
+  function fill() {
+    if (!started) return;
+
+    clearTimeout(timer);
+    timer = null;
+
+    let next;
+    while (active.size < concurrency && (next = nextDueJob())) {
+      runJob(next.job, next.key);
+    }
+
+    // Wake up when the earliest retry becomes due; jobs waiting for a busy
+    // printer are picked up when its current job finishes
+    const now = Date.now();
+    const retryTimes = Array.from(jobs.values())
+      .filter((job) => job.status === "queued" && job.nextAttemptAt)
+      .map((job) => Date.parse(job.nextAttemptAt))
+      .filter((time) => time > now);
+
+    if (retryTimes.length > 0) {
+      timer = setTimeout(schedule, Math.min(...retryTimes) - now);
+    }
+  }
+
+  async function runJob(job, key) {
+    active.set(job.id, key);
+    job.attempts += 1;
+    job.status = "rendering";
+    job.error = null;
+    saveJob(job);
+
+    try {
+      const payload = getPayload(job.id);
+      const setStatus = (status, fields = {}) => {
+        Object.assign(job, fields, { status });
+        saveJob(job);
+      };
+
+      const result = (await processJob(toPublicJob(job), payload, { setStatus })) || {};
+
+      Object.assign(job, result, {
+        status: "done",
+        nextAttemptAt: null,
+        heldSince: null,
+        finishedAt: new Date().toISOString(),
+      });
+      saveJob(job);
+      logger.info("✅ Job done", { jobId: job.id, route: job.route, printer: job.printer });
+    } catch (error) {
+      job.error = error.message || String(error);
+
+      if (error.hold) {
+        job.attempts -= 1;
+        job.status = "queued";
+        job.nextAttemptAt = new Date(Date.now() + holdDelayMs).toISOString();
+        if (!job.heldSince) {
+          job.heldSince = new Date().toISOString();
+          logger.warn(`⏸️ Job held: ${job.error}`, { jobId: job.id, route: job.route });
+        }
+      } else if (error.retryable === false || job.attempts >= job.maxAttempts) {
+        job.status = "failed";
+        job.nextAttemptAt = null;
+        job.finishedAt = new Date().toISOString();
+        logger.error(`❌ Job failed after ${job.attempts} attempt(s): ${job.error}`, {
+          jobId: job.id,
+          route: job.route,
+          printer: job.printer,
+        });
+      } else {
+        const delay = retryDelay(job.attempts);
+        job.status = "queued";
+        job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        logger.warn(`⚠️ Job attempt ${job.attempts} failed, retrying in ${delay / 1000}s: ${job.error}`, {
+          jobId: job.id,
+          route: job.route,
+          printer: job.printer,
+        });
+      }
+
+      saveJob(job);
+    } finally {
+      active.delete(job.id);
+      prune();
+      schedule();
+    }
+  }
+
+  // Keep only the most recent finished jobs so the spool doesn't grow forever
+  function prune() {
+    const finished = Array.from(jobs.values())
+      .filter((job) => FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => finishedAt(b).localeCompare(finishedAt(a)));
+
+    for (const job of finished.slice(keepFinished)) {
+      removeJob(job.id);
+    }
+  }
+
+  function start() {
+    started = true;
+    schedule();
+  }
+
+  function stop() {
+    started = false;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  load();
+
+  return {
+    enqueue,
+    getJob,
+    getPayload,
+    listJobs,
+    listHistory,
+    start,
+    stop,
+    on: events.on.bind(events),
+    off: events.off.bind(events),
+  };
+}
+
+module.exports = { createPrintQueue, JOB_STATUSES };
@@ -0,0 +1,162 @@
+// print-routes.js - Named print destinations ("bill", "kot", "grill", ...)
+//
+// Routes live in the store as an object keyed by route name, e.g.
+//   routes: { bill: { printer: "XP-80C Main" }, grill: { printer: "tcp://10.0.0.20:9100" } }
+//
+// A route's fallback says what happens when its printer isn't installed, or
+// for a network or device printer, when the printer monitor can't reach it:
+//   { mode: "fail" }                      fail the job (the default)
+//   { mode: "backup", printer: "XP-80C" } print on the backup printer instead
+//   { mode: "hold" }                      keep the job queued until the printer is back
+//
+// route.ready sets when its pages count as rendered (see readiness.js).
+// route.label ({ language: "zpl" | "tspl", dpi }) makes the route a label
+// printer for /print-label (see label.js).
+const { parseDestination, isDirectDestination } = require("./raw-printer");
+const { PAPER_WIDTHS } = require("./print-input");
+const { validateReady } = require("./readiness");
+const { validateLabelSettings } = require("./label");
+const logger = require("./logger");
+
+// Routes behind the original endpoints; these always exist and can't be renamed
+const BUILT_IN_ROUTES = {
+  bill: { endpoint: "/print", legacyKey: "printerName", legacyDefault: "XP-80C Main" },
+  kot: { endpoint: "/print-kot", legacyKey: "kotPrinterName", legacyDefault: "XP-80C" },
+  bot: { endpoint: "/print-bot", legacyKey: "botPrinterName", legacyDefault: "XP-80C Bar" },
+};
+
+const ROUTE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const FALLBACK_MODES = ["fail", "backup", "hold"];
+
+// Older versions stored one printer name per fixed endpoint; fold those into routes
+function migrateLegacyPrinters(store) {
+  if (store.has("routes")) return;
+
+  const routes = {};
+  for (const [name, builtIn] of Object.entries(BUILT_IN_ROUTES)) {
+    routes[name] = { printer: store.get(builtIn.legacyKey, builtIn.legacyDefault) };
+    store.delete(builtIn.legacyKey);
+  }
+
+  store.set("routes", routes);
+  logger.info("📦 Migrated printer settings to named routes");
+}
+
+function getRoutes(store) {
+  return store.get("routes", {});
+}
+
+function getRoute(store, name) {
+  const routes = getRoutes(store);
+  return Object.prototype.hasOwnProperty.call(routes, name) ? routes[name] : null;
+}
+
+function routeError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+// Pick where a route prints given the installed printers. Returns
+// { printer, fallbackUsed }, or throws according to the route's fallback policy:
+// "fail" errors are not retried, "hold" errors are flagged error.hold.
+// Network and device destinations aren't in the printer list; they count as
+// present unless listed in `unreachable` (from the printer monitor). With no
+// fallback they are used regardless, and a failed send is retried as usual.
+function resolveDestination(route, printers, label = "Route", unreachable = []) {
+  const available = (name) => (isDirectDestination(name)
+    ? !unreachable.includes(name)
+    : printers.some((printer) => printer.name === name));
+  if (available(route.printer)) return { printer: route.printer, fallbackUsed: false };
+
+  const fallback = route.fallback || { mode: "fail" };
+  if (fallback.mode === "fail" && isDirectDestination(route.printer)) {
+    return { printer: route.printer, fallbackUsed: false };
+  }
+  const missing = isDirectDestination(route.printer)
+    ? `${label} printer "${route.printer}" cannot be reached`
+    : `${label} printer "${route.printer}" is not installed`;
+
+  if (fallback.mode === "backup") {
+    if (available(fallback.printer)) return { printer: fallback.printer, fallbackUsed: true };
+    throw routeError(`${missing}, and neither can its backup printer "${fallback.printer}"`, { retryable: false });
+  }
+
+  if (fallback.mode === "hold") {
+    throw routeError(`${missing}; holding the job until it is back`, { hold: true });
+  }
+
+  throw routeError(missing, { retryable: false });
+}
+
+function validateFallback(name, route) {
+  const { fallback } = route;
+  if (!fallback || typeof fallback !== "object" || !FALLBACK_MODES.includes(fallback.mode)) {
+    return `Route "${name}" fallback must be one of: ${FALLBACK_MODES.join(", ")}`;
+  }
+  if (fallback.mode !== "backup") return null;
+
+  if (typeof fallback.printer !== "string" || !fallback.printer.trim()) {
+    return `Route "${name}" needs a backup printer`;
+  }
+  if (fallback.printer === route.printer) {
+    return `Route "${name}" backup printer must differ from its printer`;
+  }
+  try {
+    parseDestination(fallback.printer);
+  } catch (error) {
+    return `Route "${name}" backup printer: ${error.message}`;
+  }
+  return null;
+}
+
+// Returns an error message, or null when the routes are valid
+function validateRoutes(routes) {
+  if (!routes || typeof routes !== "object" || Array.isArray(routes)) {
+    return "Routes must be an object keyed by route name";
+  }
+
+  for (const name of Object.keys(BUILT_IN_ROUTES)) {
+    if (!routes[name]) return `The built-in "${name}" route can't be removed`;
+  }
+
+  for (const [name, route] of Object.entries(routes)) {
+    if (!ROUTE_NAME_PATTERN.test(name)) {
+      return `Invalid route name "${name}". Use lowercase letters, digits, "-" or "_" (max 32 characters)`;
+    }
+    if (!route || typeof route.printer !== "string" || !route.printer.trim()) {
+      return `Route "${name}" has no printer selected`;
+    }
+    try {
+      parseDestination(route.printer);
+    } catch (error) {
+      return `Route "${name}": ${error.message}`;
+    }
+    if (route.paperWidth !== undefined && !PAPER_WIDTHS.includes(route.paperWidth)) {
+      return `Route "${name}" paper width must be one of: ${PAPER_WIDTHS.join(", ")} mm`;
+    }
+    if (route.fallback !== undefined) {
+      const fallbackError = validateFallback(name, route);
+      if (fallbackError) return fallbackError;
+    }
+    if (route.ready !== undefined) {
+      const readyError = validateReady(name, route.ready);
+      if (readyError) return readyError;
+    }
+    if (route.label !== undefined) {
+      const labelError = validateLabelSettings(name, route.label);
+      if (labelError) return labelError;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  BUILT_IN_ROUTES,
+  ROUTE_NAME_PATTERN,
+  FALLBACK_MODES,
+  migrateLegacyPrinters,
+  getRoutes,
+  getRoute,
+  resolveDestination,
+  validateRoutes,
+};
@@ -0,0 +1,51 @@
+// printer-cache.js - The OS printer list, kept fresh in the background
+//
+// Listing printers asks the print system every time, which can take a while
+// on machines with network printers. Jobs read the cached list instead; it is
+// refreshed every refreshMs, and refresh() fetches it straight away for
+// callers that must see a printer that was just added.
+const logger = require("./logger");
+
+// fetchPrinters() resolves with the OS printer list
+function createPrinterCache({ fetchPrinters, refreshMs = 15000 }) {
+  let printers = null;
+  let fetching = null;
+  let timer = null;
+
+  // Concurrent callers share one fetch
+  function refresh() {
+    if (!fetching) {
+      fetching = fetchPrinters()
+        .then((list) => {
+          printers = list;
+          return list;
+        })
+        .finally(() => {
+          fetching = null;
+        });
+    }
+    return fetching;
+  }
+
+  // The cached list, fetched first if there isn't one yet
+  function get() {
+    return printers ? Promise.resolve(printers) : refresh();
+  }
+
+  function start() {
+    if (timer) return;
+    refresh().catch((error) => logger.error("❌ Could not list printers", { error }));
+    timer = setInterval(() => {
+      refresh().catch((error) => logger.error("❌ Could not list printers", { error }));
+    }, refreshMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { get, refresh, start, stop };
+}
+
+module.exports = { createPrinterCache };
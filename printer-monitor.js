@@ -0,0 +1,226 @@
+// printer-monitor.js - Background health checks for every route's printer
+//
+// Every check looks at each configured route and records what can be told
+// about its destination:
+//   OS printers      present in the system list; state from the driver status
+//                    (CUPS printer-state / state-reasons, Windows status flags)
+//   tcp:// printers  reachable, plus cover and paper state when the printer
+//                    answers DLE EOT; label printers aren't sent the query.
+//                    While a job is being sent the last result stands, as
+//                    printers that take one connection at a time look offline
+//   device: paths    the device file exists
+//   file: sinks      always ok; their folder is created on the first write
+// A route's state is one of ROUTE_STATES, from healthy to worst; the overall
+// state is the worst of them.
+//
+// Events: "change" with the whole status whenever anything changed, and
+// "route" with { route, printer, state, problem, previousState } per route
+// whose state changed.
+const fs = require("fs");
+const { EventEmitter } = require("events");
+const { parseDestination, queryStatus, sendActivity } = require("./raw-printer");
+const logger = require("./logger");
+
+const ROUTE_STATES = ["ok", "unknown", "warning", "error", "offline", "missing"];
+
+// Windows PRINTER_STATUS_* flags reported as Electron's printer.status
+const WINDOWS_STATUS_FLAGS = [
+  { flag: 0x00000080, state: "offline", problem: "is offline" },
+  { flag: 0x00001000, state: "offline", problem: "is not available" },
+  { flag: 0x00000001, state: "error", problem: "is paused" },
+  { flag: 0x00000010, state: "error", problem: "is out of paper" },
+  { flag: 0x00000008, state: "error", problem: "has a paper jam" },
+  { flag: 0x00400000, state: "error", problem: "has its cover open" },
+  { flag: 0x00000040, state: "error", problem: "has a paper problem" },
+  { flag: 0x00100000, state: "error", problem: "needs attention" },
+  { flag: 0x00000002, state: "error", problem: "reports an error" },
+];
+
+// CUPS printer-state-reasons keywords, matched without their -error/-warning suffix
+const CUPS_REASONS = [
+  { reason: "offline", state: "offline", problem: "is offline" },
+  { reason: "media-empty", state: "error", problem: "is out of paper" },
+  { reason: "media-needed", state: "error", problem: "is out of paper" },
+  { reason: "media-jam", state: "error", problem: "has a paper jam" },
+  { reason: "door-open", state: "error", problem: "has its cover open" },
+  { reason: "cover-open", state: "error", problem: "has its cover open" },
+  { reason: "paused", state: "error", problem: "is paused" },
+  { reason: "media-low", state: "warning", problem: "is running low on paper" },
+];
+
+const CUPS_STOPPED = "5";
+
+function worstState(states) {
+  return states.reduce((worst, state) =>
+    ROUTE_STATES.indexOf(state) > ROUTE_STATES.indexOf(worst) ? state : worst, "ok");
+}
+
+// State of a printer from the OS list, as { state, problem }
+function osPrinterState(printer) {
+  const options = printer.options || {};
+
+  if (options["printer-state"] !== undefined) {
+    const reasons = String(options["printer-state-reasons"] || "none")
+      .split(",")
+      .map((reason) => reason.trim().replace(/-(error|warning|report)$/, ""));
+
+    const match = CUPS_REASONS.find(({ reason }) => reasons.includes(reason));
+    if (match) return { state: match.state, problem: match.problem };
+    if (String(options["printer-state"]) === CUPS_STOPPED) return { state: "error", problem: "is stopped" };
+    return { state: "ok", problem: null };
+  }
+
+  const match = WINDOWS_STATUS_FLAGS.find(({ flag }) => (printer.status & flag) !== 0);
+  return match ? { state: match.state, problem: match.problem } : { state: "ok", problem: null };
+}
+
+async function networkPrinterState(destination, statusQuery) {
+  let status;
+  try {
+    status = await queryStatus(destination, { statusQuery });
+  } catch (error) {
+    return { state: "offline", problem: "cannot be reached" };
+  }
+
+  if (!status.supported) return { state: "unknown", problem: null };
+  if (status.problem) return { state: status.online ? "error" : "offline", problem: status.problem };
+  if (status.paperNearEnd) return { state: "warning", problem: "is running low on paper" };
+  return { state: "ok", problem: null };
+}
+
+// getRoutes() returns { name: { printer, label } }; getPrinters() resolves with the OS printer list
+function createPrinterMonitor({ getRoutes, getPrinters, intervalMs = 30000 }) {
+  const events = new EventEmitter();
+  let status = { state: "unknown", checkedAt: null, routes: {} };
+  let timer = null;
+  let running = null;
+
+  // A check while a job is being sent to the printer, or that failed while
+  // one was, keeps the route's last result (see sendActivity)
+  async function checkNetworkPrinter(name, { printer, label }) {
+    const previous = status.routes[name];
+    const unchanged = previous && previous.printer === printer
+      ? { state: previous.state, problem: previous.problem }
+      : { state: "unknown", problem: null };
+
+    const before = sendActivity(printer);
+    if (before.sending > 0) return unchanged;
+
+    const result = await networkPrinterState(printer, !label);
+    const after = sendActivity(printer);
+    if (result.state === "offline" && (after.sending > 0 || after.started !== before.started)) return unchanged;
+    return result;
+  }
+
+  async function checkRoute(name, route, printers) {
+    const { printer } = route;
+    let target;
+    try {
+      target = parseDestination(printer);
+    } catch (error) {
+      return { state: "missing", problem: error.message };
+    }
+
+    if (target.kind === "tcp") return checkNetworkPrinter(name, route);
+
+    if (target.kind === "device") {
+      return fs.existsSync(target.path)
+        ? { state: "ok", problem: null }
+        : { state: "missing", problem: `device ${target.path} does not exist` };
+    }
+
+    if (target.kind === "file") return { state: "ok", problem: null };
+
+    if (!printers) return { state: "unknown", problem: "the printer list is unavailable" };
+
+    const osPrinter = printers.find((p) => p.name === printer);
+    if (!osPrinter) return { state: "missing", problem: "is not installed" };
+    return osPrinterState(osPrinter);
+  }
+
+  async function runCheck() {
+    const routes = getRoutes();
+
+    let printers = null;
+    try {
+      printers = await getPrinters();
+    } catch (error) {
+      logger.error("❌ Printer monitor could not list printers", { error });
+    }
+
+    const checkedAt = new Date().toISOString();
+    const results = {};
+    await Promise.all(Object.entries(routes).map(async ([name, route]) => {
+      results[name] = { printer: route.printer, ...(await checkRoute(name, route, printers)), checkedAt };
+    }));
+
+    const previous = status;
+    status = {
+      state: worstState(Object.values(results).map((result) => result.state)),
+      checkedAt,
+      routes: results,
+    };
+
+    let changed = previous.state !== status.state;
+    for (const [name, result] of Object.entries(results)) {
+      const before = previous.routes[name];
+      if (before && before.state === result.state && before.problem === result.problem) continue;
+      changed = true;
+
+      events.emit("route", { route: name, ...result, previousState: before ? before.state : null });
+
+      const fields = { route: name, printer: result.printer };
+      if (result.state === "ok") {
+        if (before) logger.info(`✅ ${name} printer "${result.printer}" is ready`, fields);
+      } else if (result.problem) {
+        logger.warn(`⚠️ ${name} printer "${result.printer}" ${result.problem}`, fields);
+      }
+    }
+
+    if (changed) events.emit("change", getStatus());
+    return getStatus();
+  }
+
+  // Concurrent callers share one check rather than querying printers twice
+  function check() {
+    if (!running) {
+      running = runCheck().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  function getStatus() {
+    return {
+      ...status,
+      routes: Object.fromEntries(Object.entries(status.routes).map(([name, result]) => [name, { ...result }])),
+    };
+  }
+
+  function tick() {
+    check().catch((error) => logger.error("❌ Printer check failed", { error }));
+  }
+
+  function start() {
+    stop();
+    tick();
+    timer = setInterval(tick, intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    check,
+    getStatus,
+    start,
+    stop,
+    on: events.on.bind(events),
+    off: events.off.bind(events),
+  };
+}
+
+module.exports = { createPrinterMonitor, ROUTE_STATES };
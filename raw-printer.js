@@ -0,0 +1,337 @@
+// raw-printer.js - Send raw bytes (ESC/POS) straight to a printer
+//
+// A destination is one of:
+//   - an OS printer name, sent through the spooler as a RAW document
+//   - "device:<path>" for a printer device written directly
+//     (e.g. "device:/dev/usb/lp0" or "device:\\.\COM3"). Only printer, serial
+//     and parallel port paths are accepted, for the same reason as file: below.
+//   - "tcp://host:port" for a network printer on a raw socket (port 9100 by default)
+//   - "file:<name>" for a file that each job is appended to, for trying out
+//     output without a printer (e.g. "file:labels.zpl"). Files are kept in
+//     one folder, set with setFileSinkDir(); routes can be changed over the
+//     API, so a destination must not be able to name any other file.
+const { execFile } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const SPOOLER_TIMEOUT_MS = 30000;
+const TCP_CONNECT_TIMEOUT_MS = 5000;
+const TCP_WRITE_TIMEOUT_MS = 15000;
+const TCP_STATUS_TIMEOUT_MS = 1000;
+const DEFAULT_TCP_PORT = 9100;
+const FILE_SINK_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// USB and parallel printers, serial ports (incl. USB and Bluetooth serial
+// adapters) on Linux and macOS, and COM/LPT/USB ports on Windows
+const DEVICE_PATH_PATTERNS = [
+  /^\/dev\/usb\/lp\d+$/,
+  /^\/dev\/lp\d+$/,
+  /^\/dev\/tty(S|USB|ACM)\d+$/,
+  /^\/dev\/rfcomm\d+$/,
+  /^\/dev\/(cu|tty)\.[A-Za-z0-9_-][A-Za-z0-9._-]*$/,
+  /^(\\\\\.\\)?(COM|LPT)\d+$/i,
+  /^\\\\\.\\USB\d+$/i,
+];
+
+let fileSinkDir = path.join(os.tmpdir(), "silent-print-agent-files");
+
+// Network printers, as "host:port", that didn't answer a status query; they
+// aren't asked again, so their jobs don't each wait TCP_STATUS_TIMEOUT_MS
+const statusUnsupported = new Set();
+
+// Jobs being sent and started so far per network printer, see sendActivity()
+const activity = new Map();
+
+// DLE EOT real-time status requests: printer, offline cause, roll paper sensor
+const STATUS_QUERY = Buffer.from([0x10, 0x04, 1, 0x10, 0x04, 2, 0x10, 0x04, 4]);
+
+// Win32 has no command line tool for RAW jobs, so go through winspool directly
+const WINDOWS_RAW_PRINT_SCRIPT = `
+$ErrorActionPreference = 'Stop'
+Add-Type -TypeDefinition @"
+using System;
+using System.ComponentModel;
+using System.Runtime.InteropServices;
+
+public static class RawPrinter {
+  [StructLayout(LayoutKind.Sequential, CharSet = CharSet.Unicode)]
+  public class DOCINFO {
+    public string pDocName;
+    public string pOutputFile;
+    public string pDataType;
+  }
+
+  [DllImport("winspool.drv", CharSet = CharSet.Unicode, SetLastError = true)]
+  static extern bool OpenPrinter(string name, out IntPtr handle, IntPtr defaults);
+  [DllImport("winspool.drv", SetLastError = true)]
+  static extern bool ClosePrinter(IntPtr handle);
+  [DllImport("winspool.drv", CharSet = CharSet.Unicode, SetLastError = true)]
+  static extern int StartDocPrinter(IntPtr handle, int level, [In] DOCINFO info);
+  [DllImport("winspool.drv", SetLastError = true)]
+  static extern bool EndDocPrinter(IntPtr handle);
+  [DllImport("winspool.drv", SetLastError = true)]
+  static extern bool StartPagePrinter(IntPtr handle);
+  [DllImport("winspool.drv", SetLastError = true)]
+  static extern bool EndPagePrinter(IntPtr handle);
+  [DllImport("winspool.drv", SetLastError = true)]
+  static extern bool WritePrinter(IntPtr handle, byte[] bytes, int count, out int written);
+
+  public static void Send(string printer, byte[] bytes) {
+    IntPtr handle;
+    if (!OpenPrinter(printer, out handle, IntPtr.Zero)) throw new Win32Exception(Marshal.GetLastWin32Error());
+    try {
+      DOCINFO info = new DOCINFO();
+      info.pDocName = "Silent Print Agent";
+      info.pDataType = "RAW";
+      if (StartDocPrinter(handle, 1, info) == 0) throw new Win32Exception(Marshal.GetLastWin32Error());
+      try {
+        StartPagePrinter(handle);
+        int written;
+        if (!WritePrinter(handle, bytes, bytes.Length, out written) || written != bytes.Length) {
+          throw new Win32Exception(Marshal.GetLastWin32Error());
+        }
+        EndPagePrinter(handle);
+      } finally {
+        EndDocPrinter(handle);
+      }
+    } finally {
+      ClosePrinter(handle);
+    }
+  }
+}
+"@
+[RawPrinter]::Send($env:PRINT_AGENT_PRINTER, [System.IO.File]::ReadAllBytes($env:PRINT_AGENT_FILE))
+`;
+
+function parseDestination(destination) {
+  if (destination.startsWith("device:")) {
+    const devicePath = destination.slice("device:".length);
+    if (!DEVICE_PATH_PATTERNS.some((pattern) => pattern.test(devicePath))) {
+      throw new Error(`Invalid device destination "${destination}". Use a printer or port device like device:/dev/usb/lp0 or device:COM3`);
+    }
+    return { kind: "device", path: devicePath };
+  }
+
+  if (destination.startsWith("file:")) {
+    const name = destination.slice("file:".length);
+    if (!FILE_SINK_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid file destination "${destination}". Use a file name like file:labels.zpl; files are written to ${fileSinkDir}`);
+    }
+    return { kind: "file", path: path.join(fileSinkDir, name) };
+  }
+
+  if (destination.startsWith("tcp://")) {
+    const url = new URL(destination);
+    if (!url.hostname) throw new Error(`Invalid network printer address "${destination}"`);
+    return {
+      kind: "tcp",
+      host: url.hostname.replace(/^\[|\]$/g, ""), // Strip IPv6 brackets
+      port: url.port ? Number(url.port) : DEFAULT_TCP_PORT,
+    };
+  }
+
+  return { kind: "printer", name: destination };
+}
+
+function setFileSinkDir(dir) {
+  fileSinkDir = dir;
+}
+
+function isDirectDestination(destination) {
+  return parseDestination(destination).kind !== "printer";
+}
+
+function run(command, args, options) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: SPOOLER_TIMEOUT_MS, windowsHide: true, ...options }, (error, stdout, stderr) => {
+      if (error) {
+        const detail = (stderr || "").trim() || error.message;
+        reject(new Error(`${path.basename(command)} failed: ${detail}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+async function sendToSpooler(printerName, data) {
+  const tmpFile = path.join(os.tmpdir(), `silent-print-${crypto.randomUUID()}.bin`);
+  await fs.promises.writeFile(tmpFile, data);
+
+  try {
+    if (process.platform === "win32") {
+      const encodedScript = Buffer.from(WINDOWS_RAW_PRINT_SCRIPT, "utf16le").toString("base64");
+      await run(
+        "powershell.exe",
+        ["-NoProfile", "-NonInteractive", "-ExecutionPolicy", "Bypass", "-EncodedCommand", encodedScript],
+        { env: { ...process.env, PRINT_AGENT_PRINTER: printerName, PRINT_AGENT_FILE: tmpFile } }
+      );
+    } else {
+      // CUPS on Linux and macOS
+      await run("lp", ["-d", printerName, "-o", "raw", tmpFile]);
+    }
+  } finally {
+    fs.promises.unlink(tmpFile).catch(() => {});
+  }
+}
+
+function connectTcp({ host, port }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Connection to ${host}:${port} timed out`));
+    }, TCP_CONNECT_TIMEOUT_MS);
+
+    socket.once("connect", () => {
+      clearTimeout(timer);
+      resolve(socket);
+    });
+    socket.once("error", (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Cannot reach printer at ${host}:${port}: ${error.message}`));
+    });
+  });
+}
+
+// Decode the three DLE EOT response bytes
+function parseStatus([printer, offlineCause, paper]) {
+  return {
+    supported: true,
+    online: (printer & 0x08) === 0,
+    coverOpen: (offlineCause & 0x04) !== 0,
+    paperOut: (offlineCause & 0x20) !== 0 || (paper & 0x60) !== 0,
+    paperNearEnd: (paper & 0x0c) !== 0,
+    error: (offlineCause & 0x40) !== 0,
+  };
+}
+
+// Ask the printer for its status; printers that don't answer DLE EOT report
+// { supported: false } rather than failing
+function readStatus(socket) {
+  return new Promise((resolve) => {
+    const bytes = [];
+    const finish = (status) => {
+      clearTimeout(timer);
+      socket.off("data", onData);
+      resolve(status);
+    };
+    const onData = (chunk) => {
+      bytes.push(...chunk);
+      if (bytes.length >= 3) finish(parseStatus(bytes));
+    };
+    const timer = setTimeout(() => finish({ supported: false }), TCP_STATUS_TIMEOUT_MS);
+
+    socket.on("data", onData);
+    socket.write(STATUS_QUERY);
+  });
+}
+
+function printerKey({ host, port }) {
+  return `${host}:${port}`;
+}
+
+async function printerStatus(socket, target) {
+  if (statusUnsupported.has(printerKey(target))) return { supported: false };
+
+  const status = await readStatus(socket);
+  if (!status.supported) statusUnsupported.add(printerKey(target));
+  return status;
+}
+
+function describeStatusProblem(status) {
+  if (!status.supported) return null;
+  if (status.coverOpen) return "has its cover open";
+  if (status.paperOut) return "is out of paper";
+  if (status.error) return "reports an error";
+  if (!status.online) return "is offline";
+  return null;
+}
+
+function writeAndClose(socket, data, { host, port }) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Sending to ${host}:${port} timed out`));
+    }, TCP_WRITE_TIMEOUT_MS);
+
+    socket.once("error", (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Sending to ${host}:${port} failed: ${error.message}`));
+    });
+    socket.end(data, () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+async function sendTcp(target, data, { statusQuery }) {
+  const key = printerKey(target);
+  const current = activity.get(key) || { sending: 0, started: 0 };
+  activity.set(key, { sending: current.sending + 1, started: current.started + 1 });
+
+  let socket;
+  try {
+    socket = await connectTcp(target);
+    if (statusQuery) {
+      const problem = describeStatusProblem(await printerStatus(socket, target));
+      if (problem) throw new Error(`Printer at ${target.host}:${target.port} ${problem}`);
+    }
+
+    await writeAndClose(socket, data, target);
+  } catch (error) {
+    if (socket) socket.destroy();
+    throw error;
+  } finally {
+    const { sending, started } = activity.get(key);
+    activity.set(key, { sending: sending - 1, started });
+  }
+}
+
+// { sending, started }: jobs on their way to a network printer now, and
+// started since the agent did. Many network printers take one connection at a
+// time, so a health check that fails meanwhile says nothing about the printer.
+function sendActivity(destination) {
+  const target = parseDestination(destination);
+  if (target.kind !== "tcp") return { sending: 0, started: 0 };
+  return { ...(activity.get(printerKey(target)) || { sending: 0, started: 0 }) };
+}
+
+// Status of a network printer, for health checks. With statusQuery false only
+// the connection is tried, for printers that don't speak ESC/POS (ZPL, TSPL)
+async function queryStatus(destination, { statusQuery = true } = {}) {
+  const target = parseDestination(destination);
+  if (target.kind !== "tcp") throw new Error(`Status queries need a tcp:// destination, got "${destination}"`);
+
+  const socket = await connectTcp(target);
+  try {
+    const status = statusQuery ? await printerStatus(socket, target) : { supported: false };
+    return { ...status, problem: describeStatusProblem(status) };
+  } finally {
+    socket.destroy();
+  }
+}
+
+// Network printers are asked for their status (DLE EOT) before each job
+// unless statusQuery is false, which label printers need: they would print
+// the ESC/POS query bytes rather than answer them
+async function sendRaw(destination, data, { statusQuery = true } = {}) {
+  const target = parseDestination(destination);
+
+  if (target.kind === "device") {
+    await fs.promises.writeFile(target.path, data);
+  } else if (target.kind === "file") {
+    await fs.promises.mkdir(fileSinkDir, { recursive: true });
+    await fs.promises.appendFile(target.path, data);
+  } else if (target.kind === "tcp") {
+    await sendTcp(target, data, { statusQuery });
+  } else {
+    await sendToSpooler(target.name, data);
+  }
+}
+
+module.exports = { sendRaw, queryStatus, sendActivity, parseDestination, isDirectDestination, setFileSinkDir };
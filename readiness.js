@@ -0,0 +1,165 @@
+// readiness.js - When a rendered page is ready to print
+//
+// Images and fonts are always waited for. A job, or a route for all its jobs,
+// can ask for more with `ready`:
+//   selector     CSS selector that must match, e.g. '[id^="barcode-"] rect'
+//   printReady   true to wait for the page to set window.printReady to true,
+//                or to a promise, which is awaited. Needs page scripts, so it
+//                is refused while rendering.allowScripts is off.
+//   timeout      ms to wait for all of it (default 10000); a page that isn't
+//                ready by then fails the job, without retries, instead of
+//                printing half-rendered
+// The job's settings override the route's, e.g. route { ready: { printReady: true } }
+// and job { ready: { timeout: 3000 } }.
+const DEFAULT_READY_TIMEOUT_MS = 10000;
+const MIN_READY_TIMEOUT_MS = 100;
+const MAX_READY_TIMEOUT_MS = 25000; // stays under the render timeout
+const READY_KEYS = ["selector", "printReady", "timeout"];
+const POLL_MS = 50;
+const SCRIPTS_OFF_MESSAGE = "ready.printReady needs page scripts, which are turned off in Print Page Security";
+
+function readyError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Check `ready` from a request or route. Query strings (?ready[timeout]=3000)
+// carry text, so "true" and "3000" are accepted too. Given the rendering
+// settings, printReady is checked against them. Throws status 400 errors.
+function parseReady(input, rendering = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw readyError(`ready must be an object with any of: ${READY_KEYS.join(", ")}`);
+  }
+
+  const unknown = Object.keys(input).find((key) => !READY_KEYS.includes(key));
+  if (unknown) throw readyError(`Unknown ready setting "${unknown}". Expected: ${READY_KEYS.join(", ")}`);
+
+  const ready = {};
+  if (input.selector !== undefined) {
+    if (typeof input.selector !== "string" || !input.selector.trim()) {
+      throw readyError("ready.selector must be a CSS selector");
+    }
+    ready.selector = input.selector.trim();
+  }
+
+  if (input.printReady !== undefined) {
+    if (![true, false, "true", "false", "1", "0"].includes(input.printReady)) {
+      throw readyError("ready.printReady must be true or false");
+    }
+    ready.printReady = [true, "true", "1"].includes(input.printReady);
+    if (ready.printReady && rendering && !rendering.allowScripts) throw readyError(SCRIPTS_OFF_MESSAGE);
+  }
+
+  if (input.timeout !== undefined) {
+    const timeout = Number(input.timeout);
+    if (input.timeout === "" || !Number.isInteger(timeout) || timeout < MIN_READY_TIMEOUT_MS || timeout > MAX_READY_TIMEOUT_MS) {
+      throw readyError(`ready.timeout must be a whole number of ms from ${MIN_READY_TIMEOUT_MS} to ${MAX_READY_TIMEOUT_MS}`);
+    }
+    ready.timeout = timeout;
+  }
+
+  return ready;
+}
+
+// Returns an error message, or null when a route's ready settings are valid
+function validateReady(routeName, ready, rendering = null) {
+  try {
+    parseReady(ready, rendering);
+    return null;
+  } catch (error) {
+    return `Route "${routeName}" ${error.message}`;
+  }
+}
+
+// Returns an error message when a route waits for printReady while page
+// scripts are off, since the page could never set it
+function validateReadyScripts(routes, rendering) {
+  if (!routes || !rendering || rendering.allowScripts) return null;
+
+  for (const [name, route] of Object.entries(routes)) {
+    if (route && route.ready !== undefined) {
+      const error = validateReady(name, route.ready, rendering);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+// The conditions a job's page is held to: defaults, then the route's, then the job's
+function resolveReady(route, payload) {
+  return {
+    selector: null,
+    printReady: false,
+    timeout: DEFAULT_READY_TIMEOUT_MS,
+    ...(route && route.ready ? parseReady(route.ready) : {}),
+    ...(payload.ready || {}),
+  };
+}
+
+// Script run inside the render window. Resolves with { ready: true }, or with
+// { ready: false, waitingFor } once the timeout passes.
+function readyScript({ selector, printReady, timeout }) {
+  return `
+    (async () => {
+      const selector = ${JSON.stringify(selector)};
+      const waitForFlag = ${JSON.stringify(printReady)};
+      let waitingFor = "images";
+      let finished = false;
+
+      const until = (check) => new Promise((resolve, reject) => {
+        const poll = () => {
+          try {
+            if (check()) return resolve();
+          } catch (error) {
+            return reject(error);
+          }
+          if (!finished) setTimeout(poll, ${POLL_MS});
+        };
+        poll();
+      });
+
+      const conditions = (async () => {
+        await Promise.all(Array.from(document.images).map(img => img.complete ? null
+          : new Promise(r => { img.onload = img.onerror = r; })));
+
+        waitingFor = "fonts";
+        if (document.fonts && document.fonts.ready) await document.fonts.ready;
+
+        if (selector) {
+          waitingFor = 'an element matching "' + selector + '"';
+          await until(() => document.querySelector(selector));
+        }
+
+        if (waitForFlag) {
+          waitingFor = "window.printReady";
+          await until(() => window.printReady === true || (window.printReady && typeof window.printReady.then === "function"));
+          await window.printReady;
+        }
+
+        // Let the last layout reach the screen; hidden windows may not paint, hence the timeout
+        await new Promise(r => { requestAnimationFrame(() => r()); setTimeout(r, 50); });
+        return { ready: true };
+      })();
+
+      const timedOut = new Promise(r => setTimeout(() => r({ ready: false, waitingFor }), ${timeout}));
+
+      try {
+        return await Promise.race([conditions, timedOut]);
+      } catch (error) {
+        return { ready: false, waitingFor, error: String(error && error.message || error) };
+      } finally {
+        finished = true;
+      }
+    })();
+  `;
+}
+
+module.exports = {
+  SCRIPTS_OFF_MESSAGE,
+  parseReady,
+  validateReady,
+  validateReadyScripts,
+  resolveReady,
+  readyScript,
+};
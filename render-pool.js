@@ -0,0 +1,102 @@
+// render-pool.js - Warm hidden windows shared by print jobs and previews
+//
+// Opening a BrowserWindow for every job costs a renderer process start-up
+// each time. The pool keeps up to `size` windows alive: acquire() resolves
+// with a free one (waiting while all are busy) and release() blanks it and
+// hands it to the next caller. A window whose render failed, that crashed, or
+// that has rendered maxUses pages is destroyed and replaced, so a bad page
+// can't leak into the next job.
+
+// createWindow() returns a new hidden BrowserWindow
+function createRenderPool({ createWindow, size = 2, maxUses = 100 }) {
+  const idle = [];
+  const busy = new Set();
+  const waiting = [];
+  const uses = new WeakMap();
+  const loading = new WeakMap(); // window -> its first about:blank load
+  let closed = false;
+
+  // Start the renderer process now rather than on the first job. Callers get
+  // the window once this load is over, so its events can't be mistaken for theirs.
+  function spawn() {
+    const window = createWindow();
+    uses.set(window, 0);
+    loading.set(window, window.webContents.loadURL("about:blank").catch(() => {}));
+    return window;
+  }
+
+  function ready(window) {
+    return loading.get(window).then(() => window);
+  }
+
+  // Fill the pool up so the first jobs don't wait for windows to start
+  function warm() {
+    while (!closed && idle.length + busy.size < size) idle.push(spawn());
+  }
+
+  function take() {
+    while (idle.length > 0) {
+      const window = idle.pop();
+      if (!window.isDestroyed()) return window;
+    }
+    return busy.size < size ? spawn() : null;
+  }
+
+  function acquire() {
+    if (closed) return Promise.reject(new Error("Render pool is closed"));
+
+    const window = take();
+    if (window) {
+      busy.add(window);
+      return ready(window);
+    }
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  }
+
+  // Give a window back. discard: true destroys it instead, e.g. after a failed render.
+  async function release(window, { discard = false } = {}) {
+    const used = uses.get(window) + 1;
+    uses.set(window, used);
+
+    let reusable = !discard && !closed && !window.isDestroyed() && used < maxUses;
+    if (reusable) {
+      try {
+        // Free the page's memory and stop its scripts before the next job
+        await window.webContents.loadURL("about:blank");
+      } catch (error) {
+        reusable = false;
+      }
+    }
+
+    busy.delete(window);
+    if (reusable) {
+      idle.push(window);
+    } else if (!window.isDestroyed()) {
+      window.destroy();
+    }
+
+    while (waiting.length > 0) {
+      const next = take();
+      if (!next) break;
+      busy.add(next);
+      waiting.shift().resolve(ready(next));
+    }
+    warm();
+  }
+
+  function stats() {
+    return { size, idle: idle.length, busy: busy.size, waiting: waiting.length };
+  }
+
+  function destroy() {
+    closed = true;
+    for (const window of idle.splice(0)) {
+      if (!window.isDestroyed()) window.destroy();
+    }
+    for (const { reject } of waiting.splice(0)) reject(new Error("Render pool is closed"));
+  }
+
+  return { acquire, release, warm, stats, destroy };
+}
+
+module.exports = { createRenderPool };
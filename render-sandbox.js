@@ -0,0 +1,204 @@
+// render-sandbox.js - Keep posted print HTML away from the machine and the network
+//
+// Print HTML comes from any program that can reach the API, so it is treated
+// as untrusted, with three layers so that one slip doesn't open everything:
+//   1. sanitizeHtml() strips scripts, event handlers, frames, plugins and
+//      javascript:/file: URLs, and adds a Content-Security-Policy
+//   2. render windows are sandboxed and context-isolated with web security on
+//   3. their session cancels every request except to the agent's own files
+//      (the PDF viewer), the asset store and the configured hosts, and
+//      denies all permissions
+// Settings live in the store as rendering:
+//   allowScripts  false (default) runs no page scripts; true runs inline
+//                 scripts and those from scriptHosts, e.g. JsBarcode
+//   scriptHosts   ["cdn.jsdelivr.net"]  hosts scripts may load from
+//   assetHosts    ["images.example.com", "*.example.org"]  hosts images,
+//                 styles and fonts may load from
+// Hosts may carry a port ("localhost:8080"); "*." also matches subdomains.
+// Installs from before these settings keep running the bill page's JsBarcode
+// from cdn.jsdelivr.net (see migrateRendering); new installs start locked down.
+const path = require("path");
+const { fileURLToPath } = require("url");
+const cheerio = require("cheerio");
+const logger = require("./logger");
+
+const DEFAULT_RENDERING = { allowScripts: false, scriptHosts: [], assetHosts: [] };
+const RENDERING_KEYS = Object.keys(DEFAULT_RENDERING);
+
+// What print pages relied on before rendering was sandboxed
+const LEGACY_RENDERING = { allowScripts: true, scriptHosts: ["cdn.jsdelivr.net"], assetHosts: [] };
+
+const HOST_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/i;
+
+// Elements that load other documents or plugins; never needed on a receipt
+const BLOCKED_ELEMENTS = ["iframe", "frame", "frameset", "object", "embed", "applet", "base", "portal", "webview"];
+const URL_ATTRIBUTES = ["src", "href", "srcset", "action", "formaction", "xlink:href", "poster", "data", "background"];
+const BLOCKED_SCHEMES = /(javascript|vbscript|file):/i;
+
+// Returns an error message, or null when the rendering settings are valid
+function validateRendering(rendering) {
+  if (!rendering || typeof rendering !== "object" || Array.isArray(rendering)) {
+    return `Rendering settings must be an object with ${RENDERING_KEYS.join(", ")}`;
+  }
+
+  const unknown = Object.keys(rendering).find((key) => !RENDERING_KEYS.includes(key));
+  if (unknown) return `Unknown rendering setting "${unknown}". Expected: ${RENDERING_KEYS.join(", ")}`;
+
+  if (typeof rendering.allowScripts !== "boolean") return "rendering.allowScripts must be true or false";
+  for (const key of ["scriptHosts", "assetHosts"]) {
+    if (!Array.isArray(rendering[key])) return `rendering.${key} must be a list of host names`;
+    const invalid = rendering[key].find((host) => typeof host !== "string" || !HOST_PATTERN.test(host));
+    if (invalid !== undefined) return `Invalid host "${invalid}" in rendering.${key}; use a name like cdn.example.com`;
+  }
+
+  return null;
+}
+
+function hostMatches(url, hosts) {
+  const host = url.host.toLowerCase();
+  const hostname = url.hostname.toLowerCase();
+
+  return hosts.some((entry) => {
+    const allowed = entry.toLowerCase();
+    const target = allowed.includes(":") ? host : hostname;
+    if (allowed.startsWith("*.")) return target.endsWith(allowed.slice(1));
+    return target === allowed;
+  });
+}
+
+function allowedHosts(rendering) {
+  return rendering.allowScripts ? [...rendering.assetHosts, ...rendering.scriptHosts] : rendering.assetHosts;
+}
+
+// Whether a render window may load `address`: inline data, the asset store,
+// the agent's own files under appDir, and http(s) from the configured hosts
+function requestAllowed(address, rendering, appDir) {
+  let url;
+  try {
+    url = new URL(address);
+  } catch (error) {
+    return false;
+  }
+
+  switch (url.protocol) {
+    case "data:":
+    case "blob:":
+    case "about:":
+    case "asset:":
+      return true;
+    case "file:": {
+      const file = path.resolve(fileURLToPath(url));
+      return file.startsWith(path.resolve(appDir) + path.sep);
+    }
+    case "http:":
+    case "https:":
+      return hostMatches(url, allowedHosts(rendering));
+    default:
+      return false;
+  }
+}
+
+function hostSources(hosts) {
+  return hosts.flatMap((host) => [`https://${host}`, `http://${host}`]).join(" ");
+}
+
+// Content-Security-Policy for sanitised pages; a backstop for anything the
+// sanitiser misses, such as CSS imports
+function contentSecurityPolicy(rendering) {
+  const assets = hostSources(rendering.assetHosts);
+  const scripts = rendering.allowScripts ? `'unsafe-inline' ${hostSources(rendering.scriptHosts)}` : "'none'";
+
+  return [
+    "default-src 'none'",
+    `img-src data: blob: asset: ${assets}`,
+    `style-src 'unsafe-inline' asset: ${assets}`,
+    `font-src data: asset: ${assets}`,
+    `script-src ${scripts}`,
+    "connect-src 'none'",
+    "frame-src 'none'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'none'",
+  ].map((directive) => directive.trim()).join("; ");
+}
+
+function scriptAllowed(src, rendering) {
+  if (!rendering.allowScripts) return false;
+  if (!src) return true;
+
+  try {
+    const url = new URL(src);
+    return ["http:", "https:"].includes(url.protocol) && hostMatches(url, rendering.scriptHosts);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Strip what could run code or read local files out of print HTML
+function sanitizeHtml(html, rendering) {
+  const $ = cheerio.load(html);
+
+  $(BLOCKED_ELEMENTS.join(",")).remove();
+  $("meta[http-equiv]").each((index, element) => {
+    if ($(element).attr("http-equiv").toLowerCase() === "refresh") $(element).remove();
+  });
+  $("script").each((index, element) => {
+    if (!scriptAllowed($(element).attr("src"), rendering)) $(element).remove();
+  });
+
+  $("*").each((index, element) => {
+    for (const [name, value] of Object.entries(element.attribs || {})) {
+      const attribute = name.toLowerCase();
+      if (attribute.startsWith("on") && !rendering.allowScripts) {
+        $(element).removeAttr(name);
+      } else if (URL_ATTRIBUTES.includes(attribute) && BLOCKED_SCHEMES.test(value.replace(/[\u0000- ]/g, ""))) {
+        // Browsers ignore whitespace and control characters inside a scheme
+        $(element).removeAttr(name);
+      }
+    }
+  });
+
+  $("head").prepend(`<meta http-equiv="Content-Security-Policy" content="${contentSecurityPolicy(rendering)}">`);
+  return $.html();
+}
+
+// Seed the rendering settings once. A store saved by an older version had no
+// sandbox, and its bills draw their barcodes with JsBarcode from a CDN; turning
+// scripts off under it would print them without barcodes and without an error.
+function migrateRendering(store, existingInstall) {
+  if (store.has("rendering")) return;
+
+  if (existingInstall) {
+    store.set("rendering", LEGACY_RENDERING);
+    logger.info(`📦 Page scripts from ${LEGACY_RENDERING.scriptHosts.join(", ")} stay allowed for this existing install (see Print Page Security)`);
+  } else {
+    store.set("rendering", DEFAULT_RENDERING);
+  }
+}
+
+// Lock down the Electron session that render windows use
+function secureRenderSession(renderSession, getRendering, appDir) {
+  renderSession.webRequest.onBeforeRequest((details, callback) => {
+    const allowed = requestAllowed(details.url, getRendering(), appDir);
+    if (!allowed) {
+      logger.warn(`🚫 Blocked print page request to ${details.url.slice(0, 200)}`, {
+        resourceType: details.resourceType,
+      });
+    }
+    callback({ cancel: !allowed });
+  });
+
+  renderSession.setPermissionRequestHandler((webContents, permission, callback) => callback(false));
+  renderSession.setPermissionCheckHandler(() => false);
+  renderSession.on("will-download", (event) => event.preventDefault());
+}
+
+module.exports = {
+  DEFAULT_RENDERING,
+  validateRendering,
+  requestAllowed,
+  contentSecurityPolicy,
+  sanitizeHtml,
+  migrateRendering,
+  secureRenderSession,
+};
@@ -0,0 +1,168 @@
+// benchmark.js - Print throughput of a running agent
+//
+// Queues a burst of HTML receipts and reports how long the agent takes to get
+// through them. HTML jobs on an OS printer take the driver path (render, then
+// webContents.print), which is what the render pool and per-printer
+// concurrency speed up, so point the route at a driver printer that throws
+// its output away rather than at a device: or tcp:// sink, which skips it:
+//   Linux/macOS  lpadmin -p bench-null -E -v file:/dev/null -m raw
+//                (CUPS needs "FileDevice Yes" in cups-files.conf for file: URIs)
+//   Windows      add a "Generic / Text Only" printer on port NUL:
+//
+// To compare two builds, e.g. before and after a change, run each against the
+// same printer and job count, saving the first run and comparing the second:
+//   npm start -- --route bench="bench-null"                  (old build)
+//   npm run benchmark -- --route bench --jobs 100 --save before.json
+//   npm start -- --route bench="bench-null"                  (new build)
+//   npm run benchmark -- --route bench --jobs 100 --compare before.json
+// Each run warms up with a few jobs first, so window start-up isn't counted.
+//
+// Options: --url (http://localhost:4000), --route (bench), --jobs (50),
+// --warmup jobs (3), --api-key (or PRINT_AGENT_API_KEY), --timeout seconds
+// (300), --save file, --compare file
+const fs = require("fs");
+
+const POLL_MS = 250;
+
+function parseArgs(args) {
+  const options = {
+    url: "http://localhost:4000",
+    route: "bench",
+    jobs: 50,
+    warmup: 3,
+    apiKey: process.env.PRINT_AGENT_API_KEY || null,
+    timeout: 300,
+    save: null,
+    compare: null,
+  };
+  const names = {
+    "--url": "url",
+    "--route": "route",
+    "--jobs": "jobs",
+    "--warmup": "warmup",
+    "--api-key": "apiKey",
+    "--timeout": "timeout",
+    "--save": "save",
+    "--compare": "compare",
+  };
+
+  for (let index = 0; index < args.length; index += 2) {
+    const name = names[args[index]];
+    if (!name || args[index + 1] === undefined) throw new Error(`Unknown or incomplete option "${args[index]}"`);
+    options[name] = ["jobs", "warmup", "timeout"].includes(name) ? Number(args[index + 1]) : args[index + 1];
+  }
+  if (!Number.isInteger(options.jobs) || options.jobs < 1) throw new Error("--jobs must be a whole number");
+  if (!Number.isInteger(options.warmup) || options.warmup < 0) throw new Error("--warmup must be a whole number");
+  return options;
+}
+
+function receiptHtml(number) {
+  const rows = Array.from({ length: 12 }, (_, index) =>
+    `<tr><td>Item ${index + 1}</td><td style="text-align:right">${(index + 1) * 3}.50</td></tr>`
+  ).join("");
+  return `<html><body style="font-family:monospace;width:72mm">
+    <h2 style="text-align:center">Benchmark #${number}</h2>
+    <table style="width:100%">${rows}</table>
+    <p style="text-align:center">Thank you!</p>
+  </body></html>`;
+}
+
+function percentile(sorted, fraction) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+function change(before, after) {
+  const percent = ((after - before) / before) * 100;
+  return `${percent >= 0 ? "+" : ""}${percent.toFixed(0)}%`;
+}
+
+function printComparison(before, after) {
+  console.log(`\nCompared with ${before.jobs} jobs on ${before.at}:`);
+  console.log(`  Throughput: ${before.jobsPerMinute} -> ${after.jobsPerMinute} jobs/min (${change(before.jobsPerMinute, after.jobsPerMinute)})`);
+  for (const key of ["p50", "p95", "max"]) {
+    console.log(`  Latency ${key}: ${before[key]}ms -> ${after[key]}ms (${change(before[key], after[key])})`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const headers = { "Content-Type": "application/json" };
+  if (options.apiKey) headers["X-API-Key"] = options.apiKey;
+
+  const request = async (method, pathname, body) => {
+    const response = await fetch(`${options.url}${pathname}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const result = await response.json();
+    if (!result.success) throw new Error(`${method} ${pathname}: ${result.error}`);
+    return result;
+  };
+
+  // Queue `count` jobs at once and resolve with them once all have finished
+  const burst = async (count) => {
+    const started = Date.now();
+    const queued = await Promise.all(
+      Array.from({ length: count }, (_, index) =>
+        request("POST", `/print/${encodeURIComponent(options.route)}`, { html: receiptHtml(index + 1) })
+      )
+    );
+    const pending = new Set(queued.map((result) => result.jobId));
+
+    const finished = [];
+    while (pending.size > 0) {
+      if (Date.now() - started > options.timeout * 1000) {
+        throw new Error(`Timed out with ${pending.size} job(s) unfinished`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, POLL_MS));
+
+      const { jobs } = await request("GET", `/jobs?limit=${count + 100}`);
+      for (const job of jobs) {
+        if (!pending.has(job.id) || !["done", "failed"].includes(job.status)) continue;
+        pending.delete(job.id);
+        finished.push(job);
+      }
+    }
+    return { finished, elapsed: (Date.now() - started) / 1000 };
+  };
+
+  if (options.warmup > 0) {
+    console.log(`Warming up with ${options.warmup} jobs...`);
+    await burst(options.warmup);
+  }
+
+  console.log(`Queueing ${options.jobs} jobs on route "${options.route}" at ${options.url}...`);
+  const { finished, elapsed } = await burst(options.jobs);
+
+  const latencies = finished
+    .map((job) => Date.parse(job.finishedAt || job.updatedAt) - Date.parse(job.createdAt))
+    .sort((a, b) => a - b);
+  const failed = finished.filter((job) => job.status === "failed");
+  const result = {
+    at: new Date().toISOString(),
+    jobs: finished.length,
+    failed: failed.length,
+    seconds: Number(elapsed.toFixed(1)),
+    jobsPerMinute: Number(((finished.length / elapsed) * 60).toFixed(1)),
+    p50: percentile(latencies, 0.5),
+    p95: percentile(latencies, 0.95),
+    max: latencies[latencies.length - 1],
+  };
+
+  console.log(`Finished ${result.jobs} jobs in ${result.seconds}s (${result.failed} failed)`);
+  console.log(`Throughput: ${result.jobsPerMinute} jobs/min`);
+  console.log(`Latency: p50 ${result.p50}ms, p95 ${result.p95}ms, max ${result.max}ms`);
+  if (failed.length > 0) console.log(`First failure: ${failed[0].error}`);
+
+  if (options.compare) printComparison(JSON.parse(fs.readFileSync(options.compare, "utf8")), result);
+  if (options.save) {
+    fs.writeFileSync(options.save, `${JSON.stringify(result, null, 2)}\n`);
+    console.log(`Saved results to ${options.save}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,161 @@
+// templates.js - Fill receipt templates with order JSON
+//
+// Templates are plain HTML with a few additions:
+//   {{path.to.value}}        text or attribute value, HTML-escaped
+//   {{total | money}}        formatted through a filter (money, upper, lower)
+//   data-each="items"        repeat the element once per array entry; inside,
+//                            paths resolve against the entry first, then the
+//                            order ($index is the zero-based position)
+//   data-if="path"           keep the element only when the value is truthy
+//   data-unless="path"       keep the element only when the value is falsy
+//
+// Templates are looked up, in order, in the store (edited in settings), the
+// user's templates folder and the templates bundled with the agent.
+const cheerio = require("cheerio");
+const fs = require("fs");
+const path = require("path");
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w$.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+// Never interpolate into code; a value could break out of it
+const RAW_TEXT_ELEMENTS = ["script", "style"];
+
+const FILTERS = {
+  money: (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? number.toFixed(2) : "";
+  },
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+};
+
+function resolvePath(scopes, expression) {
+  const [head, ...rest] = expression.split(".");
+
+  for (const scope of scopes) {
+    if (scope && typeof scope === "object" && head in scope) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+    }
+  }
+
+  return undefined;
+}
+
+function interpolate(text, scopes) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, expression, filter) => {
+    const value = resolvePath(scopes, expression);
+    if (value === undefined || value === null) return "";
+    if (!filter) return String(value);
+    if (!FILTERS[filter]) throw new Error(`Unknown template filter "${filter}"`);
+    return FILTERS[filter](value);
+  });
+}
+
+function fillNode($, node, scopes) {
+  if (node.type === "text") {
+    node.data = interpolate(node.data, scopes);
+    return;
+  }
+
+  if (node.type !== "tag" && node.type !== "root") return;
+
+  const attribs = node.attribs || {};
+
+  if ("data-if" in attribs || "data-unless" in attribs) {
+    const keep = "data-if" in attribs
+      ? Boolean(resolvePath(scopes, attribs["data-if"]))
+      : !resolvePath(scopes, attribs["data-unless"]);
+    delete attribs["data-if"];
+    delete attribs["data-unless"];
+
+    if (!keep) {
+      $(node).remove();
+      return;
+    }
+  }
+
+  if ("data-each" in attribs) {
+    const list = resolvePath(scopes, attribs["data-each"]);
+    delete attribs["data-each"];
+
+    const items = Array.isArray(list) ? list : [];
+    let previous = node;
+    items.forEach((item, index) => {
+      const copy = $(node).clone()[0];
+      $(previous).after(copy);
+      previous = copy;
+      fillNode($, copy, [{ ...item, $index: index }, ...scopes]);
+    });
+
+    $(node).remove();
+    return;
+  }
+
+  for (const [name, value] of Object.entries(attribs)) {
+    attribs[name] = interpolate(value, scopes);
+  }
+
+  if (RAW_TEXT_ELEMENTS.includes(node.name)) return;
+
+  // Copy the list first: data-each and data-if change it while we walk
+  for (const child of [...node.children]) {
+    fillNode($, child, scopes);
+  }
+}
+
+function renderTemplate(source, data = {}) {
+  const $ = cheerio.load(source);
+  fillNode($, $.root()[0], [data]);
+  return $.html();
+}
+
+function templateFile(dir, name) {
+  return path.join(dir, `${name}.html`);
+}
+
+// dirs: template folders, highest precedence first
+function listTemplates({ store, dirs }) {
+  const templates = new Map();
+
+  for (const dir of [...dirs].reverse()) {
+    let files = [];
+    try {
+      files = fs.readdirSync(dir);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    for (const file of files) {
+      const name = path.basename(file, ".html");
+      if (file.endsWith(".html") && TEMPLATE_NAME_PATTERN.test(name)) {
+        templates.set(name, { name, source: dir });
+      }
+    }
+  }
+
+  for (const name of Object.keys(store.get("templates", {}))) {
+    templates.set(name, { name, source: "settings" });
+  }
+
+  return Array.from(templates.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function loadTemplate({ store, dirs }, name) {
+  if (!TEMPLATE_NAME_PATTERN.test(name)) return null;
+
+  const stored = store.get("templates", {});
+  if (Object.prototype.hasOwnProperty.call(stored, name)) return stored[name];
+
+  for (const dir of dirs) {
+    try {
+      return fs.readFileSync(templateFile(dir, name), "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  return null;
+}
+
+module.exports = { TEMPLATE_NAME_PATTERN, renderTemplate, listTemplates, loadTemplate };
@@ -0,0 +1,40 @@
+// asset-store.test.js - Uploaded asset names can't clash with the store's own files
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAssetStore } = require("../asset-store");
+
+const PNG = Buffer.from("89504e470d0a1a0a", "hex");
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "asset-store-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, assets: createAssetStore({ dir }) };
+}
+
+test("names ending in .json or .tmp are refused", (t) => {
+  const { assets } = tempStore(t);
+  assets.put("logo", PNG, "image/png");
+
+  for (const name of ["logo.json", "logo.tmp", "remote"]) {
+    assert.throws(() => assets.put(name, PNG, "image/png"), (error) => error.status === 400, name);
+  }
+  assert.equal(assets.resolve("asset://logo.json"), null);
+  assert.deepEqual(assets.get("logo").data, PNG);
+  assert.deepEqual(assets.list().map(({ name }) => name), ["logo"]);
+});
+
+test("metadata overwritten by an older version doesn't break the store", (t) => {
+  const { dir, assets } = tempStore(t);
+  assets.put("logo", PNG, "image/png");
+  assets.put("footer.png", PNG, "image/png");
+
+  // What PUT /assets/logo.json used to leave behind
+  fs.writeFileSync(path.join(dir, "logo.json"), PNG);
+  fs.writeFileSync(path.join(dir, "logo.json.json"), JSON.stringify({ name: "logo.json", contentType: "image/png" }));
+
+  assert.deepEqual(assets.list().map(({ name }) => name), ["footer.png"]);
+  assert.equal(assets.get("logo"), null);
+});
@@ -0,0 +1,31 @@
+// cli-options.test.js - Flags, environment variables and the display check
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCliOptions, missingDisplay } = require("../cli-options");
+
+test("flags win over environment variables", () => {
+  const options = parseCliOptions(["--port", "5000", "--route=kot=tcp://10.0.0.20"], {
+    PRINT_AGENT_PORT: "4000",
+    PRINT_AGENT_HEADLESS: "1",
+    PRINT_AGENT_ROUTES: "bill=XP-80C;kot=XP-80C Kitchen",
+  });
+
+  assert.equal(options.port, 5000);
+  assert.equal(options.headless, true);
+  assert.equal(options.logFormat, "json");
+  assert.deepEqual(options.routes, [{ name: "kot", printer: "tcp://10.0.0.20" }]);
+});
+
+test("ports outside 1024-65535 are refused from flags and the environment", () => {
+  assert.throws(() => parseCliOptions(["--port", "80"]), /use a port from 1024 to 65535/);
+  assert.throws(() => parseCliOptions([], { PRINT_AGENT_PORT: "70000" }), /use a port from 1024 to 65535/);
+});
+
+test("Linux without a display is reported, with what to do", () => {
+  assert.match(missingDisplay("linux", {}, ["--headless"]), /xvfb-run/);
+  assert.equal(missingDisplay("linux", { DISPLAY: ":99" }, []), null);
+  assert.equal(missingDisplay("linux", { WAYLAND_DISPLAY: "wayland-0" }, []), null);
+  assert.equal(missingDisplay("linux", {}, ["--headless", "--ozone-platform=headless"]), null);
+  assert.equal(missingDisplay("win32", {}, []), null);
+  assert.equal(missingDisplay("darwin", {}, []), null);
+});
@@ -0,0 +1,96 @@
+// escpos.test.js - Encoder output compared byte-for-byte with golden files
+//
+// The .bin files in fixtures/escpos are checked-in printer output. After an
+// intended change to the encoder, rewrite them with
+//   UPDATE_GOLDEN=1 npm test
+// and review the difference (e.g. with `xxd`) before committing.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { encodeReceipt, encodeDrawerKick, encodeRaster } = require("../escpos");
+
+const FIXTURES = path.join(__dirname, "fixtures", "escpos");
+
+function assertGolden(name, actual) {
+  const file = path.join(FIXTURES, name);
+  if (process.env.UPDATE_GOLDEN) fs.writeFileSync(file, actual);
+  assert.deepEqual(actual, fs.readFileSync(file), `${name} differs from the golden file`);
+}
+
+const RECEIPT = {
+  width: 32,
+  lines: [
+    { type: "text", text: "Café Münster", align: "center", bold: true, size: "double" },
+    "Table 4 • 2 guests",
+    { type: "rule" },
+    { type: "text", text: "Espresso x2          €5.00", underline: true },
+    { type: "text", text: "Tab\tand\u001b@escape", align: "right", size: "double-height" },
+    { type: "rule", char: "=" },
+    { type: "feed", lines: 2 },
+    { type: "barcode", format: "CODE128", data: "2025110730", height: 60, width: 2, hri: "below" },
+    { type: "barcode", format: "EAN-13", data: "4006381333931", align: "left", hri: "none" },
+    { type: "qr", data: "https://example.com/r/2025110730", size: 5, errorCorrection: "Q" },
+    { type: "drawer", pin: 5, onMs: 60, offMs: 240 },
+    { type: "cut", partial: true, feed: 24 },
+  ],
+};
+
+// A width x height BGRA bitmap: a black frame, a grey diagonal and a
+// half-transparent black block, spanning two raster bands
+function testBitmap(width, height) {
+  const data = Buffer.alloc(width * height * 4, 0xff);
+  const paint = (x, y, [b, g, r, a]) => data.set([b, g, r, a], (y * width + x) * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) paint(x, y, [0, 0, 0, 255]);
+      else if (x === y % width) paint(x, y, [100, 120, 140, 255]);
+      else if (x > width / 2 && y > height / 2) paint(x, y, [0, 0, 0, 100]);
+    }
+  }
+  return { data, width, height };
+}
+
+test("receipts match the golden file", () => {
+  assertGolden("receipt.bin", encodeReceipt(RECEIPT));
+});
+
+test("a plain array of lines encodes like a document at the default width", () => {
+  assertGolden("receipt-lines.bin", encodeReceipt(["Hello", { type: "rule" }, { type: "cut" }]));
+});
+
+test("receipts start by initialising the printer and selecting code page 1252", () => {
+  assert.deepEqual([...encodeReceipt({ lines: [] })], [0x1b, 0x40, 0x1b, 0x74, 16]);
+});
+
+test("drawer kicks match the golden files", () => {
+  assertGolden("drawer-kick.bin", encodeDrawerKick());
+  assertGolden("drawer-kick-pin5.bin", encodeDrawerKick({ pin: 5, onMs: 50, offMs: 500 }));
+  assert.deepEqual([...encodeDrawerKick()], [0x1b, 0x70, 0, 50, 50]);
+});
+
+test("raster images match the golden files", () => {
+  assertGolden("raster.bin", encodeRaster(testBitmap(21, 140)));
+  assertGolden("raster-nocut.bin", encodeRaster(testBitmap(8, 4), { threshold: 100, cut: false }));
+});
+
+test("raster images are split into bands of at most 128 rows", () => {
+  const raster = encodeRaster(testBitmap(21, 140));
+  const bytesPerRow = 3;
+
+  // ESC @, ESC a 0, then GS v 0 with width in bytes and height in rows
+  assert.deepEqual([...raster.subarray(0, 13)], [0x1b, 0x40, 0x1b, 0x61, 0, 0x1d, 0x76, 0x30, 0, bytesPerRow, 0, 128, 0]);
+  const secondBand = 5 + 8 + bytesPerRow * 128;
+  assert.deepEqual([...raster.subarray(secondBand, secondBand + 8)], [0x1d, 0x76, 0x30, 0, bytesPerRow, 0, 12, 0]);
+  assert.deepEqual([...raster.subarray(-4)], [0x1d, 0x56, 66, 48]);
+});
+
+test("invalid elements are rejected with the line number", () => {
+  assert.throws(() => encodeReceipt({ lines: ["ok", { type: "sparkle" }] }), /Line 2: Unknown receipt element type "sparkle"/);
+  assert.throws(() => encodeReceipt({ lines: [{ type: "barcode", format: "PDF417", data: "1" }] }), /Unknown barcode format "PDF417"/);
+  assert.throws(() => encodeReceipt({ lines: [{ type: "qr" }] }), /QR element is missing data/);
+  assert.throws(() => encodeReceipt({ lines: [{ text: "x", align: "justify" }] }), /Unknown alignment "justify"/);
+  assert.throws(() => encodeDrawerKick({ pin: 3 }), /Unknown drawer pin "3"/);
+  assert.throws(() => encodeReceipt({}), /must have a lines array/);
+});
@@ -0,0 +1,45 @@
+// order-routing.test.js - Splitting orders into station tickets
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_ORDER_ROUTING, splitOrder } = require("../order-routing");
+
+function routesOf(tickets) {
+  return tickets.map(({ route, template, data }) => [route, template, data.items.map((item) => item.name)]);
+}
+
+test("items go to the station for their category, then the whole order to the bill", () => {
+  const order = {
+    items: [
+      { name: "Burger", category: "Food" },
+      { name: "Cola", category: "drinks" },
+      { name: "Fries", category: "sides" },
+    ],
+  };
+
+  assert.deepEqual(routesOf(splitOrder(order, DEFAULT_ORDER_ROUTING)), [
+    ["kot", "kot", ["Burger", "Fries"]],
+    ["bot", "kot", ["Cola"]],
+    ["bill", "bill", ["Burger", "Cola", "Fries"]],
+  ]);
+});
+
+test("categories named like object members use the default route", () => {
+  const order = {
+    items: ["constructor", "__proto__", "toString", "hasOwnProperty"].map((category) => ({ name: category, category })),
+  };
+
+  const [station] = splitOrder(order, DEFAULT_ORDER_ROUTING);
+  assert.equal(station.route, "kot");
+  assert.equal(station.data.items.length, 4);
+
+  assert.throws(
+    () => splitOrder(order, { ...DEFAULT_ORDER_ROUTING, defaultRoute: null }),
+    (error) => error.status === 400 && /category "constructor", which no station takes/.test(error.message)
+  );
+});
+
+test("a route named like an object member gets the default template", () => {
+  const rules = { categories: { food: "constructor" }, defaultRoute: null, billRoute: null, templates: {} };
+  const [ticket] = splitOrder({ items: [{ name: "Burger", category: "food" }] }, rules);
+  assert.equal(ticket.template, "kot");
+});
@@ -0,0 +1,128 @@
+// print-routes.test.js - Route fallback against mocked printer lists, and route validation
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveDestination, validateRoutes } = require("../print-routes");
+
+const PRINTERS = [{ name: "XP-80C Main" }, { name: "XP-80C Bar" }];
+const BUILT_INS = { bill: { printer: "XP-80C Main" }, kot: { printer: "XP-80C" }, bot: { printer: "XP-80C Bar" } };
+
+function routesWith(extra) {
+  return { ...BUILT_INS, ...extra };
+}
+
+test("an installed printer is used as-is", () => {
+  assert.deepEqual(
+    resolveDestination({ printer: "XP-80C Main", fallback: { mode: "backup", printer: "XP-80C Bar" } }, PRINTERS),
+    { printer: "XP-80C Main", fallbackUsed: false }
+  );
+});
+
+test("fail: a missing printer fails the job without retries", () => {
+  assert.throws(() => resolveDestination({ printer: "XP-80C" }, PRINTERS, "KOT"), (error) => {
+    assert.equal(error.message, 'KOT printer "XP-80C" is not installed');
+    assert.equal(error.retryable, false);
+    assert.equal(error.hold, undefined);
+    return true;
+  });
+});
+
+test("backup: a missing printer falls back to an installed backup", () => {
+  const route = { printer: "XP-80C", fallback: { mode: "backup", printer: "XP-80C Bar" } };
+  assert.deepEqual(resolveDestination(route, PRINTERS), { printer: "XP-80C Bar", fallbackUsed: true });
+});
+
+test("backup: fails without retries when the backup is missing too", () => {
+  const route = { printer: "XP-80C", fallback: { mode: "backup", printer: "Epson TM-T20" } };
+  assert.throws(() => resolveDestination(route, PRINTERS), (error) => {
+    assert.match(error.message, /neither can its backup printer "Epson TM-T20"/);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+});
+
+test("hold: a missing printer holds the job", () => {
+  assert.throws(() => resolveDestination({ printer: "XP-80C", fallback: { mode: "hold" } }, []), (error) => {
+    assert.match(error.message, /holding the job until it is back/);
+    assert.equal(error.hold, true);
+    return true;
+  });
+});
+
+test("direct destinations aren't looked up in the printer list", () => {
+  for (const printer of ["tcp://10.0.0.20:9100", "device:/dev/usb/lp0", "file:labels.zpl"]) {
+    assert.deepEqual(resolveDestination({ printer }, []), { printer, fallbackUsed: false });
+  }
+});
+
+test("an unreachable network printer falls back to its backup", () => {
+  const route = { printer: "tcp://10.0.0.20:9100", fallback: { mode: "backup", printer: "XP-80C Bar" } };
+  assert.deepEqual(resolveDestination(route, PRINTERS, "Route", ["tcp://10.0.0.20:9100"]), {
+    printer: "XP-80C Bar",
+    fallbackUsed: true,
+  });
+  assert.deepEqual(resolveDestination(route, PRINTERS, "Route", []), { printer: "tcp://10.0.0.20:9100", fallbackUsed: false });
+});
+
+test("an unreachable network printer can back up to another network printer", () => {
+  const route = { printer: "tcp://10.0.0.20:9100", fallback: { mode: "backup", printer: "tcp://10.0.0.21" } };
+  assert.deepEqual(resolveDestination(route, [], "Route", ["tcp://10.0.0.20:9100"]), {
+    printer: "tcp://10.0.0.21",
+    fallbackUsed: true,
+  });
+  assert.throws(
+    () => resolveDestination(route, [], "Grill", ["tcp://10.0.0.20:9100", "tcp://10.0.0.21"]),
+    /Grill printer "tcp:\/\/10\.0\.0\.20:9100" cannot be reached, and neither can its backup/
+  );
+});
+
+test("an unreachable device printer is held under hold", () => {
+  const route = { printer: "device:/dev/usb/lp0", fallback: { mode: "hold" } };
+  assert.throws(() => resolveDestination(route, [], "Route", ["device:/dev/usb/lp0"]), (error) => error.hold === true);
+});
+
+test("an unreachable network printer without a fallback is still tried, so sends are retried", () => {
+  const route = { printer: "tcp://10.0.0.20:9100" };
+  assert.deepEqual(resolveDestination(route, [], "Route", ["tcp://10.0.0.20:9100"]), {
+    printer: "tcp://10.0.0.20:9100",
+    fallbackUsed: false,
+  });
+});
+
+test("valid routes pass validation", () => {
+  assert.equal(validateRoutes(BUILT_INS), null);
+  assert.equal(validateRoutes(routesWith({
+    grill: { printer: "tcp://10.0.0.20:9100", fallback: { mode: "backup", printer: "XP-80C Bar" }, paperWidth: 58 },
+    bar: { printer: "XP-80C Bar", fallback: { mode: "hold" } },
+    labels: { printer: "file:labels.zpl", label: { language: "zpl", dpi: 203 } },
+    till: { printer: "device:/dev/usb/lp0" },
+    kitchen: { printer: "device:\\\\.\\COM3", fallback: { mode: "backup", printer: "device:LPT1" } },
+    pass: { printer: "device:/dev/ttyUSB0" },
+  })), null);
+});
+
+test("invalid routes are rejected with a message naming the problem", () => {
+  const cases = [
+    [null, /Routes must be an object/],
+    [[], /Routes must be an object/],
+    [{ bill: BUILT_INS.bill, kot: BUILT_INS.kot }, /built-in "bot" route can't be removed/],
+    [routesWith({ "Grill Station": { printer: "XP-80C" } }), /Invalid route name "Grill Station"/],
+    [routesWith({ grill: { printer: " " } }), /Route "grill" has no printer selected/],
+    [routesWith({ grill: { printer: "tcp://" } }), /Route "grill"/],
+    [routesWith({ grill: { printer: "file:/etc/passwd" } }), /Invalid file destination/],
+    [routesWith({ grill: { printer: "device:/root/.bashrc" } }), /Invalid device destination/],
+    [routesWith({ grill: { printer: "device:/dev/usb/../../etc/profile" } }), /Invalid device destination/],
+    [routesWith({ grill: { printer: "device:\\\\.\\C:\\Windows\\win.ini" } }), /Invalid device destination/],
+    [routesWith({ grill: { printer: "XP-80C", paperWidth: 76 } }), /paper width must be one of: 58, 80/],
+    [routesWith({ grill: { printer: "XP-80C", fallback: { mode: "retry" } } }), /fallback must be one of: fail, backup, hold/],
+    [routesWith({ grill: { printer: "XP-80C", fallback: "hold" } }), /fallback must be one of/],
+    [routesWith({ grill: { printer: "XP-80C", fallback: { mode: "backup" } } }), /needs a backup printer/],
+    [routesWith({ grill: { printer: "XP-80C", fallback: { mode: "backup", printer: "XP-80C" } } }), /must differ from its printer/],
+    [routesWith({ grill: { printer: "XP-80C", fallback: { mode: "backup", printer: "file:../x" } } }), /backup printer: Invalid file destination/],
+    [routesWith({ grill: { printer: "XP-80C", ready: { timeout: 5 } } }), /ready.timeout/],
+    [routesWith({ grill: { printer: "XP-80C", label: { language: "epl" } } }), /label language must be one of/],
+  ];
+
+  for (const [routes, expected] of cases) {
+    assert.match(validateRoutes(routes) || "", expected, JSON.stringify(routes));
+  }
+});
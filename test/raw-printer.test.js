@@ -0,0 +1,183 @@
+// raw-printer.test.js - Network printing and status checks against a local TCP listener
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { EventEmitter } = require("events");
+const { sendRaw, queryStatus, sendActivity } = require("../raw-printer");
+const { createPrinterMonitor } = require("../printer-monitor");
+
+const STATUS_QUERY = [0x10, 0x04, 1, 0x10, 0x04, 2, 0x10, 0x04, 4];
+
+// DLE EOT replies: printer status, offline cause, roll paper sensor
+const READY = [0x16, 0x12, 0x12];
+const COVER_OPEN = [0x1e, 0x16, 0x12];
+const PAPER_OUT = [0x1e, 0x32, 0x72];
+const PAPER_NEAR_END = [0x16, 0x12, 0x1e];
+
+// A fake printer on a free local port. `reply` is sent once the status query
+// has arrived; without one the printer never answers. Resolves with
+// { destination, received(index) }; received() resolves with everything sent
+// on a connection (the first by default) once the client has closed it.
+async function fakePrinter(t, reply) {
+  const connections = [];
+  const server = net.createServer((socket) => {
+    const chunks = [];
+    let answered = false;
+    connections.push(new Promise((resolve) => {
+      socket.on("data", (chunk) => {
+        chunks.push(chunk);
+        if (reply && !answered && Buffer.concat(chunks).length >= STATUS_QUERY.length) {
+          answered = true;
+          socket.write(Buffer.from(reply));
+        }
+      });
+      socket.on("close", () => resolve(Buffer.concat(chunks)));
+      socket.on("error", () => {});
+    }));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  return {
+    destination: `tcp://127.0.0.1:${server.address().port}`,
+    received: async (index = 0) => {
+      while (connections.length <= index) await new Promise((resolve) => setImmediate(resolve));
+      return connections[index];
+    },
+  };
+}
+
+test("queryStatus decodes the DLE EOT reply", async (t) => {
+  const printer = await fakePrinter(t, READY);
+
+  assert.deepEqual(await queryStatus(printer.destination), {
+    supported: true,
+    online: true,
+    coverOpen: false,
+    paperOut: false,
+    paperNearEnd: false,
+    error: false,
+    problem: null,
+  });
+  assert.deepEqual([...(await printer.received())], STATUS_QUERY);
+});
+
+test("queryStatus reports low paper without a problem", async (t) => {
+  const printer = await fakePrinter(t, PAPER_NEAR_END);
+  const status = await queryStatus(printer.destination);
+
+  assert.equal(status.paperNearEnd, true);
+  assert.equal(status.problem, null);
+});
+
+test("queryStatus reports cover open and paper out as problems", async (t) => {
+  const coverOpen = await fakePrinter(t, COVER_OPEN);
+  const paperOut = await fakePrinter(t, PAPER_OUT);
+
+  const status = await queryStatus(coverOpen.destination);
+  assert.equal(status.online, false);
+  assert.equal(status.coverOpen, true);
+  assert.equal(status.problem, "has its cover open");
+
+  assert.equal((await queryStatus(paperOut.destination)).problem, "is out of paper");
+});
+
+test("a printer that never answers reports { supported: false }", async (t) => {
+  const printer = await fakePrinter(t, null);
+  assert.deepEqual(await queryStatus(printer.destination), { supported: false, problem: null });
+});
+
+test("sendRaw checks the status, then sends the job and closes", async (t) => {
+  const printer = await fakePrinter(t, READY);
+  const job = Buffer.from([0x1b, 0x40, 0x48, 0x69, 0x0a, 0x1d, 0x56, 66, 48]);
+
+  await sendRaw(printer.destination, job);
+  assert.deepEqual(await printer.received(), Buffer.concat([Buffer.from(STATUS_QUERY), job]));
+});
+
+test("sendRaw still prints on a printer that never answers status queries", async (t) => {
+  const printer = await fakePrinter(t, null);
+  const job = Buffer.from("Hello\n");
+
+  await sendRaw(printer.destination, job);
+  assert.deepEqual(await printer.received(), Buffer.concat([Buffer.from(STATUS_QUERY), job]));
+});
+
+test("a printer that never answered isn't asked again", async (t) => {
+  const printer = await fakePrinter(t, null);
+  const job = Buffer.from("Hello\n");
+
+  await sendRaw(printer.destination, job);
+  const started = Date.now();
+  await sendRaw(printer.destination, job);
+  assert.ok(Date.now() - started < 500);
+  assert.deepEqual(await printer.received(1), job);
+  assert.deepEqual(await queryStatus(printer.destination), { supported: false, problem: null });
+  assert.equal((await printer.received(2)).length, 0);
+});
+
+test("the monitor doesn't check a network printer while a job is being sent to it", async (t) => {
+  const printer = await fakePrinter(t, READY);
+  const monitor = createPrinterMonitor({
+    getRoutes: () => ({ grill: { printer: printer.destination } }),
+    getPrinters: async () => [],
+  });
+
+  const sending = sendRaw(printer.destination, Buffer.from("Hello\n"));
+  assert.deepEqual(sendActivity(printer.destination), { sending: 1, started: 1 });
+  assert.equal((await monitor.check()).routes.grill.state, "unknown");
+  await sending;
+
+  assert.deepEqual(sendActivity(printer.destination), { sending: 0, started: 1 });
+  assert.equal((await monitor.check()).routes.grill.state, "ok");
+});
+
+test("sendRaw sends label printers the job alone, without waiting for a status", async (t) => {
+  const printer = await fakePrinter(t, null);
+  const label = Buffer.from("^XA^FO20,20^FDHello^FS^XZ");
+
+  const started = Date.now();
+  await sendRaw(printer.destination, label, { statusQuery: false });
+  assert.ok(Date.now() - started < 500);
+  assert.deepEqual(await printer.received(), label);
+});
+
+test("queryStatus without a status query only checks the connection", async (t) => {
+  const printer = await fakePrinter(t, READY);
+
+  assert.deepEqual(await queryStatus(printer.destination, { statusQuery: false }), { supported: false, problem: null });
+  assert.equal((await printer.received()).length, 0);
+});
+
+test("sendRaw fails without printing when the cover is open or the paper is out", async (t) => {
+  const coverOpen = await fakePrinter(t, COVER_OPEN);
+  const paperOut = await fakePrinter(t, PAPER_OUT);
+
+  await assert.rejects(sendRaw(coverOpen.destination, Buffer.from("x")), /Printer at 127\.0\.0\.1:\d+ has its cover open/);
+  await assert.rejects(sendRaw(paperOut.destination, Buffer.from("x")), /Printer at 127\.0\.0\.1:\d+ is out of paper/);
+  assert.deepEqual([...(await coverOpen.received())], STATUS_QUERY);
+  assert.deepEqual([...(await paperOut.received())], STATUS_QUERY);
+});
+
+test("a closed port is reported as unreachable", async () => {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+
+  await assert.rejects(sendRaw(`tcp://127.0.0.1:${port}`, Buffer.from("x")), /Cannot reach printer at 127\.0\.0\.1:\d+/);
+  await assert.rejects(queryStatus(`tcp://127.0.0.1:${port}`), /Cannot reach printer/);
+});
+
+test("a connection that never completes times out", async (t) => {
+  // A socket that neither connects nor fails, like a printer that dropped off the network
+  const socket = Object.assign(new EventEmitter(), { destroy: t.mock.fn() });
+  t.mock.method(net, "connect", () => socket);
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+
+  const sending = assert.rejects(sendRaw("tcp://10.0.0.20", Buffer.from("x")), /Connection to 10\.0\.0\.20:9100 timed out/);
+  t.mock.timers.tick(5000);
+  await sending;
+  assert.equal(socket.destroy.mock.callCount(), 1);
+});
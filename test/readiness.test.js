@@ -0,0 +1,37 @@
+// readiness.test.js - Checking ready settings from requests and routes
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseReady, validateReadyScripts } = require("../readiness");
+
+const SCRIPTS_ON = { allowScripts: true, scriptHosts: [], assetHosts: [] };
+const SCRIPTS_OFF = { allowScripts: false, scriptHosts: [], assetHosts: [] };
+
+test("query string values are accepted", () => {
+  assert.deepEqual(parseReady({ selector: " svg rect ", printReady: "true", timeout: "3000" }), {
+    selector: "svg rect",
+    printReady: true,
+    timeout: 3000,
+  });
+});
+
+test("invalid settings are refused with status 400", () => {
+  for (const input of [null, [], { wait: 1 }, { selector: "" }, { printReady: "yes" }, { timeout: 50 }, { timeout: 30000 }]) {
+    assert.throws(() => parseReady(input), (error) => error.status === 400, JSON.stringify(input));
+  }
+});
+
+test("printReady is refused while page scripts are off", () => {
+  assert.deepEqual(parseReady({ printReady: true }, SCRIPTS_ON), { printReady: true });
+  assert.deepEqual(parseReady({ printReady: false }, SCRIPTS_OFF), { printReady: false });
+  assert.throws(() => parseReady({ printReady: "1" }, SCRIPTS_OFF), (error) => (
+    error.status === 400 && /needs page scripts/.test(error.message)
+  ));
+});
+
+test("routes can't wait for printReady while page scripts are off", () => {
+  const routes = { bill: { printer: "XP-80C" }, grill: { printer: "XP-80C", ready: { printReady: true } } };
+
+  assert.equal(validateReadyScripts(routes, SCRIPTS_ON), null);
+  assert.match(validateReadyScripts(routes, SCRIPTS_OFF), /Route "grill" ready.printReady needs page scripts/);
+  assert.equal(validateReadyScripts({ bill: { printer: "XP-80C", ready: { timeout: 3000 } } }, SCRIPTS_OFF), null);
+});
@@ -0,0 +1,142 @@
+// render-sandbox.test.js - Malicious print pages can't reach files or the network
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const cheerio = require("cheerio");
+const { DEFAULT_RENDERING, requestAllowed, contentSecurityPolicy, sanitizeHtml } = require("../render-sandbox");
+
+const APP_DIR = path.resolve(__dirname, "..");
+const WITH_SCRIPTS = { allowScripts: true, scriptHosts: ["cdn.jsdelivr.net"], assetHosts: ["images.example.com"] };
+
+function sanitized(html, rendering = DEFAULT_RENDERING) {
+  return cheerio.load(sanitizeHtml(html, rendering));
+}
+
+test("scripts are removed unless allowed", () => {
+  const html = `<p>Total</p>
+    <script>fetch("http://10.0.0.1/")</script>
+    <script src="https://cdn.jsdelivr.net/npm/jsbarcode"></script>`;
+
+  assert.equal(sanitized(html)("script").length, 0);
+
+  const $ = sanitized(html.replace("cdn.jsdelivr.net", "evil.example.net"), WITH_SCRIPTS);
+  assert.deepEqual($("script").toArray().map((element) => $(element).attr("src")), [undefined]);
+  assert.equal(sanitized(html, WITH_SCRIPTS)("script").length, 2);
+});
+
+test("event handler attributes are removed", () => {
+  const $ = sanitized(`<img src="logo.png" onerror="alert(1)"><body ONLOAD="x()"><svg><g onClick="y()"></g></svg>`);
+
+  for (const element of $("*").toArray()) {
+    assert.deepEqual(Object.keys(element.attribs).filter((name) => /^on/i.test(name)), []);
+  }
+  assert.equal($("img").attr("src"), "logo.png");
+});
+
+test("javascript: and file: URLs are removed despite case, whitespace and entities", () => {
+  const urls = [
+    "javascript:alert(1)",
+    "JaVaScRiPt:alert(1)",
+    "  javascript:alert(1)",
+    "java\tscript:alert(1)",
+    "java&#x0A;script:alert(1)",
+    "&#106;avascript:alert(1)",
+    "vbscript:msgbox(1)",
+    "file:///etc/passwd",
+    "FILE:///C:/Windows/win.ini",
+    "fi\nle:///etc/passwd",
+  ];
+
+  for (const url of urls) {
+    const $ = sanitized(`<a href="${url}">a</a><img src="${url}"><form action="${url}"></form><img srcset="${url} 2x">`);
+    assert.equal($("[href], [src], [action], [srcset]").length, 0, url);
+  }
+});
+
+test("frames, plugins, base and meta refresh are removed", () => {
+  const $ = sanitized(`<head>
+    <base href="http://evil.example.net/">
+    <meta http-equiv="Refresh" content="0; url=file:///etc/passwd">
+    <meta charset="utf-8">
+  </head><body>
+    <iframe src="http://192.168.1.1/"></iframe>
+    <object data="x.swf"></object><embed src="x.swf">
+    <frameset><frame src="file:///etc/passwd"></frameset>
+  </body>`);
+
+  assert.equal($("base, iframe, object, embed, frame, frameset").length, 0);
+  assert.equal($("meta[http-equiv]").toArray().filter((element) => /refresh/i.test($(element).attr("http-equiv"))).length, 0);
+  assert.equal($("meta[charset]").length, 1);
+});
+
+test("a Content-Security-Policy is added to every page", () => {
+  const $ = sanitized("<p>Receipt</p>");
+  const policy = $('meta[http-equiv="Content-Security-Policy"]').attr("content");
+
+  assert.equal(policy, contentSecurityPolicy(DEFAULT_RENDERING));
+  assert.match(policy, /default-src 'none'/);
+  assert.match(policy, /script-src 'none'/);
+  assert.match(policy, /connect-src 'none'/);
+});
+
+test("the policy only names the configured hosts", () => {
+  assert.doesNotMatch(contentSecurityPolicy(DEFAULT_RENDERING), /https?:/);
+
+  const policy = contentSecurityPolicy(WITH_SCRIPTS);
+  assert.match(policy, /script-src 'unsafe-inline' https:\/\/cdn\.jsdelivr\.net http:\/\/cdn\.jsdelivr\.net/);
+  assert.match(policy, /img-src data: blob: asset: https:\/\/images\.example\.com/);
+  assert.match(policy, /connect-src 'none'/);
+});
+
+test("file: requests are only allowed inside the app directory", () => {
+  const inside = `file://${path.join(APP_DIR, "pdf-viewer.html")}`;
+  assert.equal(requestAllowed(inside, DEFAULT_RENDERING, APP_DIR), true);
+
+  const outside = [
+    "file:///etc/passwd",
+    `file://${path.join(APP_DIR, "..", "secrets.txt")}`,
+    `file://${APP_DIR}/../secrets.txt`,
+    `file://${APP_DIR}-evil/payload.html`,
+    `file://${APP_DIR}`,
+  ];
+  for (const url of outside) assert.equal(requestAllowed(url, DEFAULT_RENDERING, APP_DIR), false, url);
+});
+
+test("http(s) requests are only allowed to allow-listed hosts", () => {
+  const rendering = { ...WITH_SCRIPTS, assetHosts: ["images.example.com", "*.example.org", "localhost:8080"] };
+  const allowed = [
+    "https://images.example.com/logo.png",
+    "https://cdn.example.org/font.woff2",
+    "http://localhost:8080/logo.png",
+    "https://cdn.jsdelivr.net/npm/jsbarcode",
+  ];
+  const blocked = [
+    "https://evil.example.net/",
+    "https://images.example.com.evil.net/logo.png",
+    "https://evilexample.org/",
+    "https://example.org/",
+    "http://localhost/",
+    "http://localhost:9090/",
+    "http://127.0.0.1:4000/print",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://192.168.1.1/",
+  ];
+
+  for (const url of allowed) assert.equal(requestAllowed(url, rendering, APP_DIR), true, url);
+  for (const url of blocked) assert.equal(requestAllowed(url, rendering, APP_DIR), false, url);
+});
+
+test("script hosts are only reachable while scripts are allowed", () => {
+  const url = "https://cdn.jsdelivr.net/npm/jsbarcode";
+  assert.equal(requestAllowed(url, WITH_SCRIPTS, APP_DIR), true);
+  assert.equal(requestAllowed(url, { ...WITH_SCRIPTS, allowScripts: false }, APP_DIR), false);
+});
+
+test("other schemes are blocked and inline data is allowed", () => {
+  for (const url of ["ftp://example.com/x", "ws://example.com/", "chrome://settings", "devtools://devtools", "not a url"]) {
+    assert.equal(requestAllowed(url, WITH_SCRIPTS, APP_DIR), false, url);
+  }
+  for (const url of ["data:image/png;base64,AAAA", "about:blank", "asset://logo.png", "blob:null/1234"]) {
+    assert.equal(requestAllowed(url, DEFAULT_RENDERING, APP_DIR), true, url);
+  }
+});